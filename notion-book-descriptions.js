@@ -1,6 +1,15 @@
 #!/usr/bin/env node
 
 const https = require('https');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const HTML_ENTITIES = require('./html-entities.json');
 
 // ============================================
 // CONFIGURATION
@@ -8,681 +17,5004 @@ const https = require('https');
 const NOTION_TOKEN = process.env.NOTION_TOKEN;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const DATABASE_ID = process.env.DATABASE_ID;
-const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
 const HARDCOVER_TOKEN = process.env.HARDCOVER_TOKEN;
 const MAX_BOOKS_PER_RUN = 50;
-const MAX_DESCRIPTION_LENGTH = 2000; // Notion rich_text limit per block
+
+// Databases and their property names come from a JSON config file. Without
+// one, the single DATABASE_ID database is used with the default names below.
+const CONFIG_FILE = getConfigPath();
+const MAX_DESCRIPTION_LENGTH = 2000; // Notion rich_text limit per item
+const MAX_NOTION_ITEMS = 100; // Notion's limit on rich_text items per property and blocks per request
+const NOTION_PAGE_SIZE = 100; // Notion's maximum page_size for database queries
+
+// Optionally write long descriptions into the page body as paragraphs, with
+// a shortened version in the Book Description property
+const DESCRIPTION_IN_PAGE_BODY = process.env.DESCRIPTION_IN_PAGE_BODY === 'true';
+const SHORT_DESCRIPTION_LENGTH = parseInt(process.env.SHORT_DESCRIPTION_LENGTH || '600', 10);
+
+// Backlog mode follows Notion cursors through the whole result set and
+// checkpoints progress so the next run resumes where this one stopped
+const BACKLOG_MODE = process.argv.includes('--backlog') || process.env.BACKLOG_MODE === 'true';
+const BACKLOG_BOOK_BUDGET = parseInt(process.env.BACKLOG_BOOK_BUDGET || '500', 10);
+
+// Files that persist between runs (restored by the workflow's cache step)
+const STATE_DIR = process.env.STATE_DIR || '.book-descriptions';
+const FAILURES_FILE = path.join(STATE_DIR, 'failures.json');
+
+// Source lookups and Claude results are cached on disk under CACHE_DIR.
+// Empty results expire sooner, so books that failed get a fresh search
+// when their retry comes round.
+const CACHE_ENABLED = !process.argv.includes('--no-cache') && process.env.NO_CACHE !== 'true';
+const PURGE_CACHE = process.argv.includes('--purge-cache');
+const CACHE_DIR = process.env.CACHE_DIR || path.join(STATE_DIR, 'cache');
+const CACHE_TTL_DAYS = {
+  'google-books': 30,
+  'open-library': 30,
+  'hardcover': 30,
+  'wikipedia': 30,
+  'goodreads': 14,
+  'claude-pick': 180,
+  'claude-clean': 180,
+  'claude-translate': 180,
+  // e.g. CACHE_TTL_DAYS="goodreads=7,claude-clean=365"
+  ...parseNumberOverrides(process.env.CACHE_TTL_DAYS)
+};
+const CACHE_EMPTY_TTL_DAYS = parseFloat(process.env.CACHE_EMPTY_TTL_DAYS || '0.5');
+
+// Every write to Notion is appended to AUDIT_LOG_FILE with the values it
+// replaced, tagged with RUN_ID so the "revert" command can undo a run
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(STATE_DIR, 'audit-log.jsonl');
+const RUN_ID = process.env.GITHUB_RUN_ID || `local-${new Date().toISOString()}`;
+// The page body blocks each page's current description added, so a write
+// can find the ones it replaces without reading the whole audit log
+const BODY_BLOCKS_FILE = path.join(STATE_DIR, 'body-blocks.json');
+
+// Books that keep failing are retried on an exponential backoff
+// (1 day, 2 days, 4 days...) and given up on after MAX_FAILED_ATTEMPTS
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MAX_FAILED_ATTEMPTS || '5', 10);
+const RETRY_BACKOFF_DAYS = parseFloat(process.env.RETRY_BACKOFF_DAYS || '1');
+const RESET_FAILURES = process.argv.includes('--reset-failures');
+
+// Review mode writes candidates to "Proposed Description" for a human to
+// approve; --apply-approved then copies approved proposals into place
+const REVIEW_MODE = process.argv.includes('--review') || process.env.REVIEW_MODE === 'true';
+const APPLY_APPROVED = process.argv.includes('--apply-approved');
+const STATUS_NEEDS_REVIEW = 'Needs Review';
+const STATUS_APPROVED = 'Approved';
+const STATUS_REJECTED = 'Rejected';
+
+// Refresh mode also re-checks descriptions that are already filled in, and
+// replaces short or promotional ones when a clearly better one turns up.
+// Each check is recorded in REFRESH_FILE along with the text it replaced.
+const REFRESH_MODE = process.argv.includes('--refresh') || process.env.REFRESH_MODE === 'true';
+const REFRESH_BOOKS_PER_RUN = parseInt(process.env.REFRESH_BOOKS_PER_RUN || '20', 10);
+const REFRESH_FILE = path.join(STATE_DIR, 'refreshed.json');
+const MIN_DESCRIPTION_LENGTH = parseInt(process.env.MIN_DESCRIPTION_LENGTH || '200', 10);
+
+// Default property name for each role. A config file can override any of
+// them per database. "title" may list several names; the first one present
+// on a page is used. When a page has an ISBN, sources are queried by
+// identifier first and title/author search is only the fallback.
+const DEFAULT_PROPERTIES = {
+  title: ['Media', 'Title', 'Name'],
+  author: 'Source',
+  format: 'Format',
+  description: 'Book Description',
+  isbn: 'ISBN',
+  sort: 'Name',
+  proposedDescription: 'Proposed Description',
+  proposedSource: 'Proposed Description Source',
+  proposedConfidence: 'Proposed Description Confidence',
+  descriptionStatus: 'Description Status',
+  pages: 'Pages',
+  yearPublished: 'Year Published',
+  publisher: 'Publisher',
+  genres: 'Genres',
+  previousDescription: 'Previous Description',
+  descriptionSource: 'Description Source',
+  descriptionUrl: 'Description URL',
+  proposedUrl: 'Proposed Description URL'
+};
+
+// Property roles that enrichment fills, each from the metadata field of the same name
+const ENRICHMENT_ROLES = ['pages', 'yearPublished', 'publisher', 'genres', 'isbn'];
+const DEFAULT_FORMAT_VALUES = ['Book'];
+
+// Enrichment fills empty Pages, Year Published, Publisher, Genres and ISBN
+// properties from the matched record; it never overwrites existing values
+const ENRICH_METADATA = process.argv.includes('--enrich') || process.env.ENRICH_METADATA === 'true';
+const MAX_GENRES = 5;
+const OPEN_LIBRARY_SEARCH_FIELDS = 'key,title,author_name,first_publish_year,number_of_pages_median,publisher,isbn,subject,cover_i';
+
+// Log each line or sentence the rule-based cleaner removes
+const DEBUG_CLEANING = process.argv.includes('--debug-cleaning') || process.env.DEBUG_CLEANING === 'true';
+
+// Descriptions in the target language (an ISO 639-1 code, also settable per
+// database in the config file) are preferred. With translation on, Claude
+// translates the chosen description when none is in that language.
+const DESCRIPTION_LANGUAGE = (process.env.DESCRIPTION_LANGUAGE || 'en').toLowerCase();
+const TRANSLATE_DESCRIPTIONS = process.argv.includes('--translate') || process.env.TRANSLATE_DESCRIPTIONS === 'true';
+
+// The serve command describes single pages on demand, for Notion webhook
+// events signed with NOTION_WEBHOOK_SECRET and POST /describe requests
+// signed with SERVER_SECRET
+const NOTION_WEBHOOK_SECRET = process.env.NOTION_WEBHOOK_SECRET;
+const SERVER_SECRET = process.env.SERVER_SECRET;
+const SERVER_PORT = parseInt(process.env.PORT || '8787', 10);
+const MAX_REQUEST_BODY_BYTES = 1024 * 1024;
+
+// Wikipedia articles are found through Wikidata, and only for items that
+// are literary or written works (Q7725634, Q47461344)
+const WIKIPEDIA_LANGUAGE = process.env.WIKIPEDIA_LANGUAGE || 'en';
+const WIKIDATA_WORK_TYPES = ['wd:Q7725634', 'wd:Q47461344'];
+const WIKIMEDIA_USER_AGENT = 'NotionBookDescriptionBot/1.0 (https://github.com/thatbberg/book-description-finder)';
+
+// Claude model for picking, cleaning and comparing descriptions. With a
+// spending cap (in USD, estimated from token usage), the run stops taking
+// new books once the cap is reached.
+const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307';
+const CLAUDE_MAX_RUN_COST_USD = parseFloat(getArgValue(process.argv, '--max-cost') || process.env.CLAUDE_MAX_RUN_COST_USD || '0');
+
+// Candidates scoring below this (0-1) are treated as a different book
+const MATCH_THRESHOLD = parseFloat(process.env.MATCH_THRESHOLD || '0.65');
+
+const STRATEGY_LABELS = {
+  isbn: 'ISBN match',
+  text: 'title/author search'
+};
+
+// Every outgoing request goes through httpsRequest(), which applies these
+const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || '30000', 10);
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_AFTER_MS = 120000;
+const MAX_REDIRECTS = 5;
+const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+// A timeout or 5xx can come after the server acted on the request, so
+// requests that aren't idempotent are only retried on these, where it can't have
+const UNPROCESSED_STATUS_CODES = new Set([408, 425, 429, 529]);
+const UNSENT_ERROR_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+// Several books are worked on at once, and each book's sources are queried
+// in parallel. Every request first waits for its host's token bucket, which
+// refills at perSecond requests up to a burst. Override the rates with
+// e.g. RATE_LIMITS="openlibrary.org=2,api.anthropic.com=0.5".
+const BOOK_CONCURRENCY = Math.max(1, parseInt(process.env.BOOK_CONCURRENCY || '4', 10));
+const RATE_LIMITS = {
+  // Notion's documented average of 3 requests per second
+  'api.notion.com': { perSecond: 3, burst: 3 },
+  // Open Library asks bots to stay around one request per second
+  'openlibrary.org': { perSecond: 1, burst: 1 },
+  // 50 requests per minute on Anthropic's lowest tier
+  'api.anthropic.com': { perSecond: 0.8, burst: 2 },
+  'www.googleapis.com': { perSecond: 5, burst: 5 },
+  // Hardcover allows 60 requests per minute
+  'api.hardcover.app': { perSecond: 1, burst: 2 },
+  'query.wikidata.org': { perSecond: 1, burst: 2 },
+  'www.wikidata.org': { perSecond: 2, burst: 2 },
+  [`${WIKIPEDIA_LANGUAGE}.wikipedia.org`]: { perSecond: 2, burst: 2 },
+  'www.goodreads.com': { perSecond: 0.5, burst: 1 },
+  ...Object.fromEntries(Object.entries(parseNumberOverrides(process.env.RATE_LIMITS))
+    .map(([host, perSecond]) => [host, { perSecond, burst: Math.max(1, Math.floor(perSecond)) }]))
+};
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-function httpsRequest(options, postData = null) {
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Parses "name=1,other=2.5" settings into { name: 1, other: 2.5 }
+function parseNumberOverrides(text) {
+  const overrides = {};
+  for (const pair of (text || '').split(',')) {
+    const [name, value] = pair.split('=').map(part => part.trim());
+    if (name && value && !Number.isNaN(parseFloat(value))) {
+      overrides[name] = parseFloat(value);
+    }
+  }
+  return overrides;
+}
+
+// A token bucket holds up to burst tokens and refills at perSecond. Each
+// take() waits for a token; callers are served in the order they asked.
+function createTokenBucket({ perSecond, burst = 1 }) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / 1000 * perSecond);
+    lastRefill = now;
+  }
+
+  return {
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil((1 - tokens) / perSecond * 1000));
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    }
+  };
+}
+
+const rateLimiters = new Map();
+
+// Waits until the host's limiter allows another request. Hosts without a
+// limit in RATE_LIMITS go straight through.
+async function waitForRateLimit(hostname) {
+  const limit = RATE_LIMITS[hostname];
+  if (!limit) return;
+
+  if (!rateLimiters.has(hostname)) {
+    rateLimiters.set(hostname, createTokenBucket(limit));
+  }
+  await rateLimiters.get(hostname).take();
+}
+
+// Runs fn over the items with at most limit calls in flight at once
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// While books are processed concurrently, each book's log lines are
+// collected and printed together when it finishes, so they don't interleave
+const bookLogs = new AsyncLocalStorage();
+
+function bufferBookLogs() {
+  const print = console.log;
+  console.log = (...args) => {
+    const lines = bookLogs.getStore();
+    if (lines) {
+      lines.push(args);
+    } else {
+      print(...args);
+    }
+  };
+}
+
+async function withBookLog(fn) {
+  const lines = [];
+  try {
+    return await bookLogs.run(lines, fn);
+  } finally {
+    lines.forEach(args => console.log(...args));
+  }
+}
+
+// Makes a single request and resolves with the raw status, headers and
+// parsed body, whatever the status code. Requests go over https unless the
+// options say protocol 'http:'.
+function sendRequest(options, body, timeout) {
+  const transport = options.protocol === 'http:' ? http : https;
   return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
+    const req = transport.request(options, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
+        let parsed;
         try {
-          resolve(JSON.parse(data));
+          parsed = JSON.parse(data);
         } catch (e) {
-          resolve(data);
+          parsed = data;
         }
+        resolve({ statusCode: res.statusCode, headers: res.headers, data: parsed });
       });
     });
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Request to ${options.hostname} timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
     req.on('error', reject);
-    if (postData) {
-      if (typeof postData === 'string') {
-        req.write(postData);
-      } else {
-        req.write(JSON.stringify(postData));
-      }
+    if (body) {
+      req.write(body);
     }
     req.end();
   });
 }
 
-// ============================================
-// NOTION FUNCTIONS
-// ============================================
+function httpError(options, response) {
+  const detail = typeof response.data === 'string'
+    ? response.data.slice(0, 200)
+    : (response.data?.message || response.data?.error?.message || JSON.stringify(response.data).slice(0, 200));
+  const error = new Error(`HTTP ${response.statusCode} from ${options.hostname}${detail ? `: ${detail}` : ''}`);
+  error.statusCode = response.statusCode;
+  error.response = response.data;
+  return error;
+}
 
-async function getNotionPages() {
-  const options = {
-    hostname: 'api.notion.com',
-    path: '/v1/databases/' + DATABASE_ID + '/query',
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${NOTION_TOKEN}`,
-      'Notion-Version': '2022-06-28',
-      'Content-Type': 'application/json'
+function isRetryable(error, idempotent) {
+  if (error.statusCode) {
+    return (idempotent ? RETRYABLE_STATUS_CODES : UNPROCESSED_STATUS_CODES).has(error.statusCode);
+  }
+  return (idempotent ? RETRYABLE_ERROR_CODES : UNSENT_ERROR_CODES).has(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  const ms = Number.isNaN(seconds) ? new Date(value).getTime() - Date.now() : seconds * 1000;
+  return Number.isNaN(ms) ? null : Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+// Exponential backoff with jitter, so parallel retries don't line up
+function backoffMs(attempt) {
+  const base = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+// Makes a request and resolves with the parsed body. Non-2xx responses are
+// errors (with a statusCode property), redirects are followed, and timeouts,
+// 429s and 5xx responses are retried with backoff, honoring Retry-After.
+// POST and PATCH requests are only retried when the server can't have acted
+// on them; pass `idempotent: true` for ones that are safe to repeat anyway.
+// Every attempt waits for the host's rate limiter first. Pass `timeout` or
+// `retries` in the options to override the defaults.
+async function httpsRequest(options, postData = null) {
+  const {
+    timeout = REQUEST_TIMEOUT_MS,
+    retries = MAX_RETRIES,
+    idempotent = IDEMPOTENT_METHODS.has((options.method || 'GET').toUpperCase()),
+    ...requestOptions
+  } = options;
+  let body = postData && typeof postData !== 'string' ? JSON.stringify(postData) : postData;
+  let current = requestOptions;
+  let redirects = 0;
+  let attempt = 0;
+
+  while (true) {
+    let response;
+    try {
+      await waitForRateLimit(current.hostname);
+      response = await sendRequest(current, body, timeout);
+    } catch (error) {
+      if (attempt < retries && isRetryable(error, idempotent)) {
+        const delay = backoffMs(attempt++);
+        console.log(`    ! ${error.message}, retrying in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+        continue;
+      }
+      throw error;
     }
-  };
 
-  const filter = {
-    and: [
-      {
-        property: 'Format',
-        select: {
-          equals: 'Book'
-        }
-      },
-      {
-        property: 'Book Description',
-        rich_text: {
-          is_empty: true
-        }
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects from ${requestOptions.hostname}${requestOptions.path}`);
       }
-    ]
-  };
+      redirects++;
 
-  const body = {
-    filter: filter,
-    sorts: [
-      {
-        property: 'Name',
-        direction: 'ascending'
+      const origin = `${current.protocol || 'https:'}//${current.hostname}${current.port ? `:${current.port}` : ''}`;
+      const target = new URL(headers.location, origin);
+      const next = { ...current, ...urlRequestOptions(target.href) };
+
+      // Don't hand credentials to a different host
+      if (target.hostname !== current.hostname && next.headers) {
+        next.headers = { ...next.headers };
+        delete next.headers.Authorization;
+        delete next.headers.authorization;
       }
-    ],
-    page_size: MAX_BOOKS_PER_RUN
-  };
 
-  return await httpsRequest(options, body);
-}
+      // 307/308 repeat the request as-is; the others become a GET
+      if (statusCode !== 307 && statusCode !== 308) {
+        next.method = 'GET';
+        body = null;
+      }
 
-async function updateNotionDescription(pageId, description) {
-  // Truncate if over Notion's limit, breaking at a sentence boundary
-  let text = description;
-  if (text.length > MAX_DESCRIPTION_LENGTH) {
-    text = text.substring(0, MAX_DESCRIPTION_LENGTH);
-    const lastPeriod = text.lastIndexOf('.');
-    const lastExclamation = text.lastIndexOf('!');
-    const lastQuestion = text.lastIndexOf('?');
-    const lastSentenceEnd = Math.max(lastPeriod, lastExclamation, lastQuestion);
+      current = next;
+      continue;
+    }
 
-    if (lastSentenceEnd > MAX_DESCRIPTION_LENGTH * 0.7) {
-      text = text.substring(0, lastSentenceEnd + 1);
+    if (statusCode >= 200 && statusCode < 300) {
+      return response.data;
     }
-  }
 
-  const options = {
-    hostname: 'api.notion.com',
-    path: `/v1/pages/${pageId}`,
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Bearer ${NOTION_TOKEN}`,
-      'Notion-Version': '2022-06-28',
-      'Content-Type': 'application/json'
+    const error = httpError(current, response);
+    if (attempt < retries && isRetryable(error, idempotent)) {
+      const delay = retryAfterMs(headers) ?? backoffMs(attempt);
+      attempt++;
+      console.log(`    ! ${error.message.slice(0, 100)}, retrying in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+      continue;
     }
+    throw error;
+  }
+}
+
+// The protocol, host, port and path of a URL as request options, so
+// webhooks can use http:// or a non-standard port
+function urlRequestOptions(url) {
+  const parsed = new URL(url);
+  return {
+    protocol: parsed.protocol,
+    hostname: parsed.hostname,
+    port: parsed.port || undefined,
+    path: parsed.pathname + parsed.search
   };
+}
 
-  const body = {
-    properties: {
-      'Book Description': {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: text
-            }
-          }
-        ]
-      }
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write to a temp file first so a cancelled run never leaves half a file behind
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Returns the first valid-looking ISBN-10 or ISBN-13 in the text, without
+// hyphens, or '' if there isn't one
+function normalizeIsbn(text) {
+  const matches = String(text || '').toUpperCase().match(/[\dX][\dX-]{8,15}[\dX]/g) || [];
+  for (const match of matches) {
+    const isbn = match.replace(/-/g, '');
+    if (/^97[89]\d{10}$/.test(isbn) || /^\d{9}[\dX]$/.test(isbn)) {
+      return isbn;
     }
-  };
+  }
+  return '';
+}
 
-  return await httpsRequest(options, body);
+// ============================================
+// CHECKPOINT FUNCTIONS
+// ============================================
+
+// The checkpoint records every page attempted in the current backlog sweep.
+// Cursors from a previous run can't be reused (Notion expires them, and the
+// result set shrinks as descriptions are added), so resuming means walking
+// the query again and skipping the pages already attempted.
+function checkpointFile(db) {
+  return path.join(STATE_DIR, `checkpoint-${db.id.replace(/-/g, '')}.json`);
+}
+
+function loadCheckpoint(db) {
+  const checkpoint = readJsonFile(checkpointFile(db), null);
+  if (!checkpoint || !Array.isArray(checkpoint.attempted)) {
+    return { startedAt: new Date().toISOString(), attempted: [] };
+  }
+  return checkpoint;
+}
+
+function saveCheckpoint(db, checkpoint) {
+  writeJsonFile(checkpointFile(db), checkpoint);
+}
+
+function clearCheckpoint(db) {
+  fs.rmSync(checkpointFile(db), { force: true });
 }
 
 // ============================================
-// BOOK DESCRIPTION SEARCH FUNCTIONS
+// FAILURE TRACKING FUNCTIONS
 // ============================================
 
-async function searchGoogleBooksDescription(title, author) {
-  const query = author ? `${title} ${author}` : title;
-  const encodedQuery = encodeURIComponent(query);
+// Failures are keyed by Notion page id:
+// { title, attempts, lastAttempt, lastReason, givenUp }
+function loadFailures() {
+  if (RESET_FAILURES) {
+    console.log('Resetting failure history (--reset-failures)');
+    return {};
+  }
+  return readJsonFile(FAILURES_FILE, {});
+}
 
-  const options = {
-    hostname: 'www.googleapis.com',
-    path: `/books/v1/volumes?q=${encodedQuery}&maxResults=5`,
-    method: 'GET'
-  };
+function saveFailures(failures) {
+  writeJsonFile(FAILURES_FILE, failures);
+}
 
-  try {
-    const data = await httpsRequest(options);
+function nextRetryDate(entry) {
+  const backoffDays = RETRY_BACKOFF_DAYS * Math.pow(2, entry.attempts - 1);
+  return new Date(new Date(entry.lastAttempt).getTime() + backoffDays * 24 * 60 * 60 * 1000);
+}
 
-    if (!data.items || data.items.length === 0) {
-      return [];
-    }
+function isDueForAttempt(failures, pageId, now = new Date()) {
+  const entry = failures[pageId];
+  if (!entry) return true;
+  if (entry.givenUp) return false;
+  return now >= nextRetryDate(entry);
+}
 
-    return data.items
-      .filter(item => item.volumeInfo?.description)
-      .map(item => {
-        const v = item.volumeInfo;
-        return {
-          title: v.title || 'Unknown',
-          authors: v.authors || [],
-          description: v.description,
-          source: 'Google Books'
-        };
-      });
+function recordFailure(failures, pageId, title, reason) {
+  const entry = failures[pageId] || { title, attempts: 0 };
+  entry.title = title;
+  entry.attempts++;
+  entry.lastAttempt = new Date().toISOString();
+  entry.lastReason = reason;
+  entry.givenUp = entry.attempts >= MAX_FAILED_ATTEMPTS;
+  failures[pageId] = entry;
+  saveFailures(failures);
+  return entry;
+}
+
+function clearFailure(failures, pageId) {
+  if (failures[pageId]) {
+    delete failures[pageId];
+    saveFailures(failures);
+  }
+}
+
+// ============================================
+// REFRESH TRACKING FUNCTIONS
+// ============================================
+
+// Refresh checks are keyed by Notion page id:
+// { title, checkedAt, outcome, score, previousDescription, source }
+function loadRefreshed() {
+  return readJsonFile(REFRESH_FILE, {});
+}
+
+function saveRefreshed(refreshed) {
+  writeJsonFile(REFRESH_FILE, refreshed);
+}
+
+// A page is checked again only once it has been edited since its last check
+function needsRefreshCheck(refreshed, page) {
+  const entry = refreshed[page.id];
+  if (!entry) return true;
+  return new Date(page.last_edited_time) > new Date(entry.checkedAt);
+}
+
+function recordRefreshCheck(refreshed, pageId, entry) {
+  refreshed[pageId] = { ...entry, checkedAt: new Date().toISOString() };
+  saveRefreshed(refreshed);
+}
+
+// ============================================
+// AUDIT LOG FUNCTIONS
+// ============================================
+
+// One JSON line per write:
+// { id, timestamp, runId, action, database, pageId, title, source,
+//   previousValue, newValue, rawDescription, previous, written, appendedBlockIds,
+//   removedBlockIds }
+// previousValue/newValue are the description as formatted text; previous
+// and written hold every property in the form the Notion API takes, so
+// revert can write previous back as-is. removedBlockIds are page body
+// blocks from an earlier description that the write replaced.
+function appendAuditEntry(entry) {
+  fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+  fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n');
+}
+
+function readAuditLog() {
+  let text;
+  try {
+    text = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
   } catch (error) {
-    console.log('  X Google Books error:', error.message);
     return [];
   }
+
+  const entries = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A run killed mid-write can leave a partial last line
+      console.log(`! Skipping unreadable audit log line ${i + 1}`);
+    }
+  });
+  return entries;
 }
 
-async function searchOpenLibraryDescription(title, author) {
-  // Rate limit courtesy pause
-  await new Promise(resolve => setTimeout(resolve, 1000));
+// audit: { db, page, action, source, rawDescription, newValue } where page is
+// the Notion page as it was read before the write. Reverts also pass
+// previousValue and the ids of the entries they undo in reverts.
+function buildAuditEntry(pageId, properties, audit) {
+  const pageProperties = audit.page?.properties || {};
+  const previous = {};
+  for (const name of Object.keys(properties)) {
+    previous[name] = pageProperties[name] ? propertyToWriteValue(pageProperties[name]) ?? null : null;
+  }
 
-  const query = author ? `${title} ${author}` : title;
-  const encodedQuery = encodeURIComponent(query);
+  const descriptionProperty = audit.db ? pageProperties[audit.db.properties.description] : null;
+  const titleName = audit.db?.properties.title.find(name => pageProperties[name]);
 
-  const searchOptions = {
-    hostname: 'openlibrary.org',
-    path: `/search.json?q=${encodedQuery}&limit=3`,
-    method: 'GET',
-    headers: {
-      'User-Agent': 'NotionBookDescriptionBot/1.0'
-    }
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    runId: RUN_ID,
+    action: audit.action,
+    database: audit.db?.name || null,
+    pageId,
+    title: audit.title || readPropertyText(pageProperties[titleName]) || null,
+    source: audit.source || null,
+    sourceUrl: audit.sourceUrl || null,
+    previousValue: audit.previousValue !== undefined
+      ? audit.previousValue
+      : (descriptionProperty ? richTextToFormattedText(descriptionProperty.rich_text) : null),
+    newValue: audit.newValue ?? null,
+    rawDescription: audit.rawDescription ?? null,
+    previous,
+    written: properties,
+    appendedBlockIds: audit.appendedBlockIds || [],
+    removedBlockIds: audit.removedBlockIds || [],
+    ...(audit.reverts ? { reverts: audit.reverts } : {})
   };
+}
 
-  try {
-    const searchData = await httpsRequest(searchOptions);
+// The page body blocks that earlier descriptions of the page added and that
+// are still there: not undone by a revert or replaced by a later description
+function bodyBlockIdsFromAuditLog(auditEntries, pageId) {
+  const entries = auditEntries.filter(entry => normalizePageId(entry.pageId) === normalizePageId(pageId));
+  const reverted = new Set(entries.flatMap(entry => entry.reverts || []));
+  const current = entries.filter(entry => !reverted.has(entry.id));
+  const removed = new Set(current.flatMap(entry => entry.removedBlockIds || []));
+  return current
+    .flatMap(entry => entry.appendedBlockIds || [])
+    .filter(blockId => !removed.has(blockId));
+}
 
-    if (!searchData.docs || searchData.docs.length === 0) {
-      return [];
-    }
+// BODY_BLOCKS_FILE maps page ids to their current body block ids. It's built
+// from the audit log the first time, e.g. for state from before it was kept.
+function loadBodyBlocks() {
+  const bodyBlocks = readJsonFile(BODY_BLOCKS_FILE, null);
+  if (bodyBlocks) return bodyBlocks;
+
+  const entries = readAuditLog();
+  const built = {};
+  for (const pageId of new Set(entries.map(entry => normalizePageId(entry.pageId)))) {
+    const blockIds = bodyBlockIdsFromAuditLog(entries, pageId);
+    if (blockIds.length > 0) built[pageId] = blockIds;
+  }
+  writeJsonFile(BODY_BLOCKS_FILE, built);
+  return built;
+}
 
-    const results = [];
+function previousBodyBlockIds(pageId) {
+  return loadBodyBlocks()[normalizePageId(pageId)] || [];
+}
 
-    for (const doc of searchData.docs.slice(0, 3)) {
-      if (!doc.key) continue;
+function recordBodyBlockIds(pageId, blockIds) {
+  const bodyBlocks = loadBodyBlocks();
+  const key = normalizePageId(pageId);
+  if (blockIds.length === 0 && !bodyBlocks[key]) return;
 
-      // Courtesy delay between Open Library requests
-      await new Promise(resolve => setTimeout(resolve, 500));
+  if (blockIds.length > 0) {
+    bodyBlocks[key] = blockIds;
+  } else {
+    delete bodyBlocks[key];
+  }
+  writeJsonFile(BODY_BLOCKS_FILE, bodyBlocks);
+}
 
-      const workOptions = {
-        hostname: 'openlibrary.org',
-        path: `${doc.key}.json`,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'NotionBookDescriptionBot/1.0'
-        }
-      };
+// ============================================
+// CACHE FUNCTIONS
+// ============================================
 
-      try {
-        const workData = await httpsRequest(workOptions);
-
-        // Description can be a string or an object with { type, value }
-        let description = null;
-        if (typeof workData.description === 'string') {
-          description = workData.description;
-        } else if (workData.description?.value) {
-          description = workData.description.value;
-        }
+const cacheStats = { hits: 0, misses: 0 };
 
-        if (description) {
-          results.push({
-            title: doc.title || 'Unknown',
-            authors: doc.author_name || [],
-            description: description,
-            source: 'Open Library'
-          });
-        }
-      } catch (err) {
-        console.log(`    Open Library work fetch failed: ${err.message}`);
+// Lowercases and collapses whitespace so trivially different queries share an entry
+function cacheKeyPart(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function cacheHash(text) {
+  return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+// Entries live at CACHE_DIR/<namespace>/<sha1 of key>.json as { key, storedAt, value }
+function cacheFile(namespace, key) {
+  return path.join(CACHE_DIR, namespace, `${cacheHash(key)}.json`);
+}
+
+function isCacheEntryExpired(namespace, entry, now = new Date()) {
+  const isEmpty = Array.isArray(entry.value) && entry.value.length === 0;
+  const ttlDays = isEmpty ? CACHE_EMPTY_TTL_DAYS : (CACHE_TTL_DAYS[namespace] ?? 30);
+  return now - new Date(entry.storedAt) > ttlDays * 24 * 60 * 60 * 1000;
+}
+
+// Returns the cached value for the key, or calls fetch and caches what it
+// returns. Errors thrown by fetch are passed on and never cached.
+async function withCache(namespace, key, fetch) {
+  if (!CACHE_ENABLED) {
+    return await fetch();
+  }
+
+  const file = cacheFile(namespace, key);
+  const entry = readJsonFile(file, null);
+  if (entry && entry.key === key && !isCacheEntryExpired(namespace, entry)) {
+    cacheStats.hits++;
+    return entry.value;
+  }
+
+  const value = await fetch();
+  cacheStats.misses++;
+  writeJsonFile(file, { key, storedAt: new Date().toISOString(), value });
+  return value;
+}
+
+// Deletes every entry with --purge-cache, otherwise just the expired ones,
+// so the cache saved between Actions runs doesn't grow forever
+function pruneCache() {
+  if (PURGE_CACHE) {
+    console.log('Purging cache (--purge-cache)');
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+    return;
+  }
+
+  let removed = 0;
+  for (const namespace of fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR) : []) {
+    const dir = path.join(CACHE_DIR, namespace);
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      const entry = readJsonFile(file, null);
+      if (!entry || isCacheEntryExpired(namespace, entry)) {
+        fs.rmSync(file, { force: true });
+        removed++;
       }
     }
+  }
+  if (removed > 0) {
+    console.log(`Removed ${removed} expired cache entr${removed === 1 ? 'y' : 'ies'}`);
+  }
+}
 
-    return results;
-  } catch (error) {
-    console.log('  X Open Library error:', error.message);
-    return [];
+// ============================================
+// CONFIG FILE FUNCTIONS
+// ============================================
+
+// --config <path>, else BOOK_DESCRIPTIONS_CONFIG, else the default file name
+function getConfigPath() {
+  const flagIndex = process.argv.indexOf('--config');
+  if (flagIndex >= 0 && process.argv[flagIndex + 1]) {
+    return process.argv[flagIndex + 1];
+  }
+  return process.env.BOOK_DESCRIPTIONS_CONFIG || 'book-descriptions.config.json';
+}
+
+// Fills in defaults for one database entry from the config file. The id can
+// be given directly or, to keep it out of the repo, as an environment
+// variable name in "idEnv".
+function normalizeDatabaseConfig(entry, index) {
+  const id = entry.id || (entry.idEnv && process.env[entry.idEnv]);
+  const name = entry.name || `Database ${index + 1}`;
+
+  if (!id) {
+    throw new Error(`Config database "${name}" has no id${entry.idEnv ? ` (${entry.idEnv} is not set)` : ''}`);
+  }
+
+  const properties = { ...DEFAULT_PROPERTIES, ...(entry.properties || {}) };
+  const unknownRoles = Object.keys(entry.properties || {}).filter(role => !(role in DEFAULT_PROPERTIES));
+  if (unknownRoles.length > 0) {
+    console.log(`! Config database "${name}" has unknown property roles: ${unknownRoles.join(', ')}`);
   }
+
+  return {
+    id,
+    name,
+    properties: {
+      ...properties,
+      title: [].concat(properties.title)
+    },
+    formatType: entry.formatType || 'select',
+    formatValues: [].concat(entry.formatValues || DEFAULT_FORMAT_VALUES),
+    enrich: entry.enrich ?? ENRICH_METADATA,
+    language: (entry.language || DESCRIPTION_LANGUAGE).toLowerCase(),
+    translate: entry.translate ?? TRANSLATE_DESCRIPTIONS,
+    maxBooksPerRun: entry.maxBooksPerRun || MAX_BOOKS_PER_RUN,
+    refreshBooksPerRun: entry.refreshBooksPerRun || REFRESH_BOOKS_PER_RUN,
+    backlogBookBudget: entry.backlogBookBudget || BACKLOG_BOOK_BUDGET
+  };
+}
+
+// Returns the parsed config file, or null when there isn't one
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+// Returns the list of databases to process this run
+function loadDatabases() {
+  const config = readConfigFile();
+  if (config) {
+    const entries = config.databases || [];
+    if (entries.length === 0) {
+      throw new Error(`Config file ${CONFIG_FILE} has no databases`);
+    }
+    console.log(`Using config file ${CONFIG_FILE}`);
+    return entries.map(normalizeDatabaseConfig);
+  }
+
+  if (!DATABASE_ID) {
+    throw new Error(`DATABASE_ID is not set and there is no config file at ${CONFIG_FILE}`);
+  }
+  return [normalizeDatabaseConfig({ id: DATABASE_ID, name: 'Books' }, 0)];
+}
+
+// ============================================
+// TEXT FORMATTING FUNCTIONS
+// ============================================
+
+// Descriptions travel through the pipeline as "formatted text": plain text
+// with blank lines between paragraphs and \n for line breaks, <i> and <b>
+// tags for italics and bold, and &, < and > escaped as entities. It only
+// becomes Notion rich text (with annotations) when it's written.
+
+// The full HTML5 named character reference table (names without the ";"),
+// except that &nbsp; becomes a plain space like the rest of the whitespace
+const NAMED_ENTITIES = { ...HTML_ENTITIES, nbsp: ' ' };
+
+// Maps the inline tags sources use onto the two we keep
+const INLINE_TAGS = { i: 'i', em: 'i', cite: 'i', b: 'b', strong: 'b' };
+const TAG_PATTERN = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return Object.hasOwn(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Keeps <i> and <b> (mapping <em>, <strong> and <cite> onto them), drops
+// every other tag, re-escapes the text and tidies whitespace around line breaks
+function sanitizeFormattedText(text) {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    result += escapeHtml(decodeHtmlEntities(text.slice(lastIndex, match.index)));
+    const tag = INLINE_TAGS[match[2].toLowerCase()];
+    if (tag) {
+      result += `<${match[1]}${tag}>`;
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  result += escapeHtml(decodeHtmlEntities(text.slice(lastIndex)));
+
+  return result
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// Converts a source description to formatted text. HTML (Google Books,
+// Goodreads) has its whitespace collapsed and <p>/<br> turned into breaks;
+// plain text (Open Library, Hardcover) keeps its own line breaks.
+function htmlToFormattedText(html) {
+  if (!html) return '';
+
+  let text = html;
+  if (/<\/?(p|br|div|i|b|em|strong|span|li)\b[^>]*>/i.test(text)) {
+    text = text
+      .replace(/\s+/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/?(p|div|ul|ol|blockquote|h[1-6])\b[^>]*>/gi, '\n\n')
+      .replace(/<li\b[^>]*>/gi, '\n• ');
+  }
+
+  return sanitizeFormattedText(text);
+}
+
+// Splits formatted text into runs of { text, italic, bold } with the
+// entities decoded
+function formattedTextToRuns(text) {
+  const runs = [];
+  let italic = 0;
+  let bold = 0;
+  let lastIndex = 0;
+
+  const addRun = (chunk) => {
+    if (!chunk) return;
+    const content = decodeHtmlEntities(chunk);
+    const last = runs[runs.length - 1];
+    if (last && last.italic === (italic > 0) && last.bold === (bold > 0)) {
+      last.text += content;
+    } else {
+      runs.push({ text: content, italic: italic > 0, bold: bold > 0 });
+    }
+  };
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    addRun(text.slice(lastIndex, match.index));
+    const tag = INLINE_TAGS[match[2].toLowerCase()];
+    const change = match[1] ? -1 : 1;
+    if (tag === 'i') italic = Math.max(0, italic + change);
+    if (tag === 'b') bold = Math.max(0, bold + change);
+    lastIndex = match.index + match[0].length;
+  }
+  addRun(text.slice(lastIndex));
+
+  return runs;
+}
+
+function formattedTextToPlainText(text) {
+  return formattedTextToRuns(text).map(run => run.text).join('');
+}
+
+// Keeps the first `length` characters of the runs' text
+function sliceRuns(runs, length) {
+  const sliced = [];
+  let remaining = length;
+
+  for (const run of runs) {
+    if (remaining <= 0) break;
+    sliced.push({ ...run, text: run.text.slice(0, remaining) });
+    remaining -= run.text.length;
+  }
+  return sliced;
+}
+
+function splitRunsIntoParagraphs(runs) {
+  const paragraphs = [[]];
+
+  for (const run of runs) {
+    run.text.split(/\n[ \t]*\n\s*/).forEach((part, i) => {
+      if (i > 0) paragraphs.push([]);
+      if (part) paragraphs[paragraphs.length - 1].push({ ...run, text: part });
+    });
+  }
+
+  return paragraphs.filter(paragraph => paragraph.some(run => run.text.trim()));
+}
+
+// ============================================
+// NOTION FUNCTIONS
+// ============================================
+
+async function queryNotionDatabase(db, body, startCursor = null) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: '/v1/databases/' + db.id + '/query',
+    method: 'POST',
+    idempotent: true,
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  if (startCursor) {
+    body = { ...body, start_cursor: startCursor };
+  }
+
+  return await httpsRequest(options, body);
+}
+
+// Matches any of the database's Format values, for select, multi_select or
+// status properties
+function formatFilter(db) {
+  const condition = db.formatType === 'multi_select' ? 'contains' : 'equals';
+  const filters = db.formatValues.map(value => ({
+    property: db.properties.format,
+    [db.formatType]: {
+      [condition]: value
+    }
+  }));
+  return filters.length === 1 ? filters[0] : { or: filters };
+}
+
+async function getNotionPages(db, startCursor = null, pageSize = db.maxBooksPerRun) {
+  const filter = {
+    and: [
+      {
+        property: db.properties.description,
+        rich_text: {
+          is_empty: true
+        }
+      }
+    ]
+  };
+
+  if (db.properties.format) {
+    filter.and.unshift(formatFilter(db));
+  }
+
+  // Books with a proposal waiting for review, an approved one waiting for
+  // --apply-approved, or a rejected one stay out of the queue until their
+  // status is cleared
+  if (REVIEW_MODE) {
+    filter.and.push(
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_NEEDS_REVIEW } },
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_APPROVED } },
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_REJECTED } }
+    );
+  }
+
+  const body = {
+    filter: filter,
+    sorts: [
+      {
+        property: db.properties.sort,
+        direction: 'ascending'
+      }
+    ],
+    page_size: pageSize
+  };
+
+  return await queryNotionDatabase(db, body, startCursor);
+}
+
+// Refresh mode: books that already have a description, minus any with a
+// refreshed description still waiting for review, approved but not yet
+// applied, or rejected by a reviewer
+async function getPagesWithDescription(db, startCursor = null) {
+  const filter = {
+    and: [
+      {
+        property: db.properties.description,
+        rich_text: {
+          is_not_empty: true
+        }
+      }
+    ]
+  };
+
+  if (db.properties.format) {
+    filter.and.unshift(formatFilter(db));
+  }
+
+  if (REVIEW_MODE) {
+    filter.and.push(
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_NEEDS_REVIEW } },
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_APPROVED } },
+      { property: db.properties.descriptionStatus, select: { does_not_equal: STATUS_REJECTED } }
+    );
+  }
+
+  const body = {
+    filter: filter,
+    sorts: [
+      {
+        property: db.properties.sort,
+        direction: 'ascending'
+      }
+    ],
+    page_size: NOTION_PAGE_SIZE
+  };
+
+  return await queryNotionDatabase(db, body, startCursor);
+}
+
+async function getNotionPagesWithStatus(db, status, startCursor = null) {
+  const body = {
+    filter: {
+      property: db.properties.descriptionStatus,
+      select: {
+        equals: status
+      }
+    },
+    page_size: NOTION_PAGE_SIZE
+  };
+
+  return await queryNotionDatabase(db, body, startCursor);
+}
+
+// Pass audit (see buildAuditEntry) to record the write in the audit log
+async function updateNotionPage(pageId, properties, audit = null) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: `/v1/pages/${pageId}`,
+    method: 'PATCH',
+    idempotent: true,
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const response = await httpsRequest(options, { properties });
+  if (audit) {
+    appendAuditEntry(buildAuditEntry(pageId, properties, audit));
+  }
+  return response;
+}
+
+async function getNotionPage(pageId) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: `/v1/pages/${pageId}`,
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28'
+    }
+  };
+
+  return await httpsRequest(options);
+}
+
+async function deleteNotionBlock(blockId) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: `/v1/blocks/${blockId}`,
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28'
+    }
+  };
+
+  return await httpsRequest(options);
+}
+
+// Deletes the blocks one by one, logging any that can't be removed
+async function removeNotionBlocks(blockIds) {
+  for (const blockId of blockIds) {
+    try {
+      await deleteNotionBlock(blockId);
+    } catch (error) {
+      console.log(`  ! Couldn't remove block ${blockId}: ${error.message}`);
+    }
+  }
+}
+
+// Brings back a deleted block (Notion keeps them in the trash)
+async function restoreNotionBlock(blockId) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: `/v1/blocks/${blockId}`,
+    method: 'PATCH',
+    idempotent: true,
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  return await httpsRequest(options, { archived: false });
+}
+
+// Appends the blocks and returns their ids. If a batch fails, the blocks
+// already added are removed again before the error is thrown.
+async function appendNotionBlocks(pageId, blocks) {
+  const options = {
+    hostname: 'api.notion.com',
+    path: `/v1/blocks/${pageId}/children`,
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  // Notion accepts at most 100 blocks per request
+  const blockIds = [];
+  try {
+    for (let i = 0; i < blocks.length; i += MAX_NOTION_ITEMS) {
+      const response = await httpsRequest(options, { children: blocks.slice(i, i + MAX_NOTION_ITEMS) });
+      blockIds.push(...(response?.results || []).map(block => block.id));
+    }
+  } catch (error) {
+    await removeNotionBlocks(blockIds);
+    throw error;
+  }
+  return blockIds;
+}
+
+function truncateDescription(description, maxLength = MAX_DESCRIPTION_LENGTH) {
+  // Truncate if over the limit, breaking at a sentence boundary
+  let text = description;
+  if (text.length > maxLength) {
+    text = text.substring(0, maxLength);
+    const lastPeriod = text.lastIndexOf('.');
+    const lastExclamation = text.lastIndexOf('!');
+    const lastQuestion = text.lastIndexOf('?');
+    const lastSentenceEnd = Math.max(lastPeriod, lastExclamation, lastQuestion);
+
+    if (lastSentenceEnd > maxLength * 0.7) {
+      text = text.substring(0, lastSentenceEnd + 1);
+    } else if (text.lastIndexOf(' ') > 0) {
+      // No sentence end late enough, so at least don't cut a word in half
+      text = text.substring(0, text.lastIndexOf(' '));
+    }
+  }
+  return text;
+}
+
+// Finds where to cut an over-long chunk: the last paragraph break, else the
+// last sentence end, else the last space, as long as it's past the halfway mark
+function findSegmentBreak(window) {
+  const minimum = window.length / 2;
+
+  const lastNewline = window.lastIndexOf('\n');
+  if (lastNewline >= minimum) {
+    return lastNewline + 1;
+  }
+
+  const sentenceEnds = [...window.matchAll(/[.!?]["'”’)]*\s+/g)];
+  const lastSentence = sentenceEnds[sentenceEnds.length - 1];
+  if (lastSentence && lastSentence.index + lastSentence[0].length >= minimum) {
+    return lastSentence.index + lastSentence[0].length;
+  }
+
+  const lastSpace = window.lastIndexOf(' ');
+  if (lastSpace >= minimum) {
+    return lastSpace + 1;
+  }
+
+  return window.length;
+}
+
+// Notion's 2000 character limit applies to each rich_text item, not the whole
+// property, so long text is split into several items that join back up exactly
+function splitIntoSegments(text, maxLength = MAX_DESCRIPTION_LENGTH) {
+  const segments = [];
+  let rest = text;
+
+  while (rest.length > maxLength) {
+    const cut = findSegmentBreak(rest.slice(0, maxLength));
+    segments.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+
+  if (rest) {
+    segments.push(rest);
+  }
+  return segments;
+}
+
+function textToRichText(text) {
+  return splitIntoSegments(text || '')
+    .slice(0, MAX_NOTION_ITEMS)
+    .map(segment => ({ type: 'text', text: { content: segment } }));
+}
+
+function runsToRichText(runs) {
+  const items = runs.flatMap(run => splitIntoSegments(run.text).map(segment => {
+    const item = { type: 'text', text: { content: segment } };
+    if (run.italic || run.bold) {
+      item.annotations = { italic: run.italic, bold: run.bold };
+    }
+    return item;
+  }));
+
+  if (items.length > MAX_NOTION_ITEMS) {
+    console.log(`  ! Text needs ${items.length} rich text items, keeping the first ${MAX_NOTION_ITEMS}`);
+  }
+  return items.slice(0, MAX_NOTION_ITEMS);
+}
+
+function formattedTextToRichText(text) {
+  return runsToRichText(formattedTextToRuns(text || ''));
+}
+
+// Reads a property of any of the text-like types as plain text, so roles
+// like author can be text, select, multi-select or people in each database
+function readPropertyText(property) {
+  if (!property) return '';
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(item => item.plain_text).join('');
+    case 'select':
+    case 'status':
+      return property[property.type]?.name || '';
+    case 'multi_select':
+      return property.multi_select.map(option => option.name).join(', ');
+    case 'people':
+      return property.people.map(person => person.name).filter(Boolean).join(', ');
+    case 'number':
+      return property.number === null ? '' : String(property.number);
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return property[property.type] || '';
+    case 'formula':
+      return String(property.formula?.[property.formula?.type] ?? '');
+    default:
+      return '';
+  }
+}
+
+// Builds the Notion value for a metadata field in whatever type the
+// property has, or undefined when the type can't hold it
+function metadataPropertyValue(property, value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (property.type) {
+    case 'number': {
+      const number = parseInt(values[0], 10);
+      return Number.isNaN(number) ? undefined : { number };
+    }
+    case 'rich_text':
+      return { rich_text: textToRichText(values.join(', ')) };
+    case 'select':
+      return { select: { name: String(values[0]).replace(/,/g, '') } };
+    case 'multi_select':
+      return { multi_select: values.map(name => ({ name: String(name).replace(/,/g, '') })) };
+    case 'date':
+      return /^\d{4}$/.test(String(values[0])) ? { date: { start: `${values[0]}-01-01` } } : undefined;
+    case 'url':
+      return { url: String(values[0]) };
+    default:
+      return undefined;
+  }
+}
+
+// Enrichment: fills the page's empty metadata properties from the matched
+// record. Properties that already have a value, or that the database
+// doesn't have, are left alone.
+function buildEnrichmentProperties(db, page, metadata) {
+  const properties = {};
+  const filled = [];
+
+  for (const role of ENRICHMENT_ROLES) {
+    const name = db.properties[role];
+    const property = page.properties[name];
+    const value = metadata?.[role];
+
+    if (!name || !property || readPropertyText(property)) continue;
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+
+    const propertyValue = metadataPropertyValue(property, value);
+    if (propertyValue) {
+      properties[name] = propertyValue;
+      filled.push(name);
+    }
+  }
+
+  return { properties, filled };
+}
+
+// Builds values for whichever of the named properties the page has,
+// clearing the ones whose value is empty. Used for provenance, which
+// describes the text being written, so old values are always replaced.
+function optionalProperties(page, values) {
+  const properties = {};
+
+  for (const [name, value] of values) {
+    const property = name && page.properties[name];
+    if (!property) continue;
+
+    const propertyValue = value ? metadataPropertyValue(property, value) : clearedPropertyValue(property);
+    if (propertyValue) {
+      properties[name] = propertyValue;
+    }
+  }
+  return properties;
+}
+
+// Records where a description came from in "Description Source" and
+// "Description URL", when the database has them
+function provenanceProperties(db, page, source, url) {
+  return optionalProperties(page, [
+    [db.properties.descriptionSource, source],
+    [db.properties.descriptionUrl, url]
+  ]);
+}
+
+function clearedPropertyValue(property) {
+  switch (property.type) {
+    case 'rich_text':
+    case 'multi_select':
+      return { [property.type]: [] };
+    case 'select':
+    case 'url':
+      return { [property.type]: null };
+    default:
+      return undefined;
+  }
+}
+
+// Turns a property read from a page back into the value the API takes when
+// writing it, so old values can be restored exactly
+function propertyToWriteValue(property) {
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return {
+        [property.type]: property[property.type].map(item => ({
+          type: 'text',
+          text: { content: item.plain_text, link: item.href ? { url: item.href } : null },
+          annotations: item.annotations
+        }))
+      };
+    case 'select':
+    case 'status':
+      return { [property.type]: property[property.type] ? { name: property[property.type].name } : null };
+    case 'multi_select':
+      return { multi_select: property.multi_select.map(option => ({ name: option.name })) };
+    case 'number':
+    case 'date':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { [property.type]: property[property.type] };
+    default:
+      return undefined;
+  }
+}
+
+function richTextToFormattedText(richText) {
+  return (richText || []).map(item => {
+    let text = escapeHtml(item.plain_text);
+    if (item.annotations?.italic) text = `<i>${text}</i>`;
+    if (item.annotations?.bold) text = `<b>${text}</b>`;
+    return text;
+  }).join('');
+}
+
+// Writes the formatted description to Book Description (plus any other
+// properties to set in the same update). With DESCRIPTION_IN_PAGE_BODY, a
+// description longer than SHORT_DESCRIPTION_LENGTH goes into the page body as
+// paragraphs and the property gets a shortened version. Body blocks added
+// for an earlier description of the page (found in BODY_BLOCKS_FILE) are
+// removed once the property is written. audit is passed on to
+// updateNotionPage.
+async function updateNotionDescription(db, pageId, description, otherProperties = {}, audit = null) {
+  const runs = formattedTextToRuns(description);
+  const plainText = runs.map(run => run.text).join('');
+  const useBody = DESCRIPTION_IN_PAGE_BODY && plainText.length > SHORT_DESCRIPTION_LENGTH;
+  let propertyRuns = runs;
+
+  if (useBody) {
+    const shortText = truncateDescription(plainText, SHORT_DESCRIPTION_LENGTH);
+    propertyRuns = sliceRuns(runs, shortText.length);
+    if (!/[.!?]$/.test(shortText)) {
+      propertyRuns.push({ text: '…', italic: false, bold: false });
+    }
+  }
+
+  const previousBlockIds = previousBodyBlockIds(pageId);
+
+  let appendedBlockIds = [];
+  if (useBody) {
+    appendedBlockIds = await appendNotionBlocks(pageId, [
+      {
+        object: 'block',
+        type: 'heading_3',
+        heading_3: { rich_text: textToRichText('Description') }
+      },
+      ...splitRunsIntoParagraphs(runs).map(paragraph => ({
+        object: 'block',
+        type: 'paragraph',
+        paragraph: { rich_text: runsToRichText(paragraph) }
+      }))
+    ]);
+  }
+
+  let response;
+  try {
+    response = await updateNotionPage(pageId, {
+      ...otherProperties,
+      [db.properties.description]: {
+        rich_text: runsToRichText(propertyRuns)
+      }
+    }, audit && { ...audit, newValue: description, appendedBlockIds, removedBlockIds: previousBlockIds });
+  } catch (error) {
+    // Without the write there's no audit entry for the new blocks, so a
+    // retry would add a second copy and revert couldn't find them
+    await removeNotionBlocks(appendedBlockIds);
+    throw error;
+  }
+
+  recordBodyBlockIds(pageId, appendedBlockIds);
+  await removeNotionBlocks(previousBlockIds);
+  return response;
+}
+
+// Review mode: store the candidate alongside where it came from and how
+// sure we are, and flag the page for a human to approve or reject
+async function proposeNotionDescription(db, pageId, description, source, confidence, otherProperties = {}, audit = null) {
+  return await updateNotionPage(pageId, {
+    ...otherProperties,
+    [db.properties.proposedDescription]: {
+      rich_text: formattedTextToRichText(description)
+    },
+    [db.properties.proposedSource]: {
+      rich_text: textToRichText(source)
+    },
+    [db.properties.proposedConfidence]: {
+      number: confidence
+    },
+    [db.properties.descriptionStatus]: {
+      select: { name: STATUS_NEEDS_REVIEW }
+    }
+  }, audit && { ...audit, source, newValue: description });
+}
+
+function clearedProposalProperties(db, page) {
+  return {
+    [db.properties.proposedDescription]: { rich_text: [] },
+    [db.properties.proposedSource]: { rich_text: [] },
+    [db.properties.proposedConfidence]: { number: null },
+    ...optionalProperties(page, [[db.properties.proposedUrl, null]])
+  };
+}
+
+// Copies an approved proposal (including any edits the reviewer made, and
+// its formatting) into Book Description, along with where it came from, and
+// clears the proposal and status
+async function applyProposedDescription(db, page) {
+  const proposed = richTextToFormattedText(page.properties[db.properties.proposedDescription]?.rich_text);
+  const source = readPropertyText(page.properties[db.properties.proposedSource]);
+  const sourceUrl = readPropertyText(page.properties[db.properties.proposedUrl]) || null;
+
+  return await updateNotionDescription(db, page.id, proposed, {
+    ...previousDescriptionProperties(db, page),
+    ...clearedProposalProperties(db, page),
+    ...provenanceProperties(db, page, source, sourceUrl),
+    [db.properties.descriptionStatus]: { select: null }
+  }, {
+    db,
+    page,
+    action: 'apply',
+    source,
+    sourceUrl
+  });
+}
+
+// Copies the description a refresh is about to replace into "Previous
+// Description", when the database has that property
+function previousDescriptionProperties(db, page) {
+  const current = page.properties[db.properties.description]?.rich_text || [];
+  if (current.length === 0 || !page.properties[db.properties.previousDescription]) {
+    return {};
+  }
+  return {
+    [db.properties.previousDescription]: propertyToWriteValue(page.properties[db.properties.description])
+  };
+}
+
+// Clears a rejected proposal but keeps the Rejected status, so the book isn't
+// proposed again until someone clears the status by hand
+async function clearRejectedProposal(db, page) {
+  return await updateNotionPage(page.id, clearedProposalProperties(db, page), { db, page, action: 'clear-rejected' });
+}
+
+// ============================================
+// BOOK DESCRIPTION SEARCH FUNCTIONS
+// ============================================
+
+// Each candidate also carries the canonical URL of the record its
+// description came from (or null), and whatever metadata the source
+// returned, in the shape { pages, yearPublished, publisher, genres, isbn, coverUrl }
+
+function yearFrom(date) {
+  const match = String(date || '').match(/\b(1[5-9]\d\d|20\d\d)\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Prefers an ISBN-13 from a list of identifiers
+function pickIsbn(identifiers) {
+  const isbns = (identifiers || []).map(normalizeIsbn).filter(Boolean);
+  return isbns.find(isbn => isbn.length === 13) || isbns[0] || null;
+}
+
+// Turns category and subject lists ("Fiction / Fantasy / General",
+// "Fiction -- Historical") into short, distinct genre names
+function normalizeGenres(categories) {
+  const seen = new Set();
+  const genres = [];
+
+  for (const category of categories || []) {
+    for (const part of String(category).split(/\s+\/\s+|\s+--\s+/)) {
+      // Notion multi-select options can't contain commas
+      const genre = part.replace(/,/g, '').trim();
+      const key = genre.toLowerCase();
+      if (!genre || key === 'general' || genre.length > 40 || /[:=]/.test(genre) || seen.has(key)) continue;
+      seen.add(key);
+      genres.push(genre);
+    }
+  }
+  return genres.slice(0, MAX_GENRES);
+}
+
+function googleVolumesToCandidates(data, strategy) {
+  if (!data.items || data.items.length === 0) {
+    return [];
+  }
+
+  return data.items
+    .filter(item => item.volumeInfo?.description)
+    .map(item => {
+      const v = item.volumeInfo;
+      return {
+        title: v.title || 'Unknown',
+        authors: v.authors || [],
+        description: htmlToFormattedText(v.description),
+        source: 'Google Books',
+        strategy: strategy,
+        url: v.canonicalVolumeLink || (item.id ? `https://books.google.com/books?id=${item.id}` : null),
+        metadata: {
+          pages: v.pageCount || null,
+          yearPublished: yearFrom(v.publishedDate),
+          publisher: v.publisher || null,
+          genres: normalizeGenres(v.categories),
+          isbn: pickIsbn((v.industryIdentifiers || []).map(id => id.identifier)),
+          coverUrl: v.imageLinks?.thumbnail?.replace(/^http:/, 'https:') || null
+        }
+      };
+    });
+}
+
+async function searchGoogleBooksByIsbn(isbn, settings = {}) {
+  const options = {
+    hostname: 'www.googleapis.com',
+    path: `/books/v1/volumes?q=isbn:${isbn}&maxResults=5`,
+    method: 'GET',
+    timeout: settings.timeout
+  };
+
+  try {
+    return await withCache('google-books', `isbn:${isbn}`, async () => {
+      const data = await httpsRequest(options);
+      return googleVolumesToCandidates(data, 'isbn');
+    });
+  } catch (error) {
+    console.log('  X Google Books ISBN error:', error.message);
+    throw error;
+  }
+}
+
+async function searchGoogleBooksDescription(title, author, settings = {}) {
+  const query = author ? `${title} ${author}` : title;
+  const encodedQuery = encodeURIComponent(query);
+
+  const options = {
+    hostname: 'www.googleapis.com',
+    path: `/books/v1/volumes?q=${encodedQuery}&maxResults=5`,
+    method: 'GET',
+    timeout: settings.timeout
+  };
+
+  try {
+    return await withCache('google-books', `text:${cacheKeyPart(query)}`, async () => {
+      const data = await httpsRequest(options);
+      return googleVolumesToCandidates(data, 'text');
+    });
+  } catch (error) {
+    console.log('  X Google Books error:', error.message);
+    throw error;
+  }
+}
+
+// Description can be a string or an object with { type, value }
+function openLibraryDescriptionText(description) {
+  if (typeof description === 'string') {
+    return description;
+  }
+  return description?.value || null;
+}
+
+async function searchOpenLibraryByIsbn(isbn, settings = {}) {
+  const headers = {
+    'User-Agent': 'NotionBookDescriptionBot/1.0'
+  };
+
+  try {
+    return await withCache('open-library', `isbn:${isbn}`, async () => {
+      // /isbn/{isbn}.json redirects to the edition record. Unknown ISBNs
+      // are a 404, which just means no match.
+      const edition = await httpsRequest({
+        hostname: 'openlibrary.org',
+        path: `/isbn/${isbn}.json`,
+        method: 'GET',
+        timeout: settings.timeout,
+        headers
+      }).catch(error => {
+        if (error.statusCode === 404) return null;
+        throw error;
+      });
+
+      if (!edition || typeof edition !== 'object') {
+        return [];
+      }
+
+      let description = openLibraryDescriptionText(edition.description);
+      let workTitle = edition.title;
+      let subjects = edition.subjects || [];
+      const workKey = edition.works?.[0]?.key;
+
+      // Descriptions usually live on the work rather than the edition
+      if (!description && workKey) {
+        const work = await httpsRequest({
+          hostname: 'openlibrary.org',
+          path: `${workKey}.json`,
+          method: 'GET',
+          timeout: settings.timeout,
+          headers
+        });
+        description = openLibraryDescriptionText(work?.description);
+        workTitle = work?.title || workTitle;
+        subjects = work?.subjects || subjects;
+      }
+
+      if (!description) {
+        return [];
+      }
+
+      return [{
+        title: workTitle || 'Unknown',
+        // Edition records only link author keys, so names aren't available here
+        authors: [],
+        description: htmlToFormattedText(description),
+        source: 'Open Library',
+        strategy: 'isbn',
+        url: workKey || edition.key ? `https://openlibrary.org${workKey || edition.key}` : null,
+        metadata: {
+          pages: edition.number_of_pages || null,
+          yearPublished: yearFrom(edition.publish_date),
+          publisher: edition.publishers?.[0] || null,
+          genres: normalizeGenres(subjects),
+          isbn: pickIsbn([...(edition.isbn_13 || []), ...(edition.isbn_10 || []), isbn]),
+          coverUrl: edition.covers?.[0] ? `https://covers.openlibrary.org/b/id/${edition.covers[0]}-L.jpg` : null
+        }
+      }];
+    });
+  } catch (error) {
+    console.log('  X Open Library ISBN error:', error.message);
+    throw error;
+  }
+}
+
+async function searchOpenLibraryDescription(title, author, settings = {}) {
+  const query = author ? `${title} ${author}` : title;
+  const encodedQuery = encodeURIComponent(query);
+
+  const searchOptions = {
+    hostname: 'openlibrary.org',
+    path: `/search.json?q=${encodedQuery}&limit=3&fields=${OPEN_LIBRARY_SEARCH_FIELDS}`,
+    method: 'GET',
+    timeout: settings.timeout,
+    headers: {
+      'User-Agent': 'NotionBookDescriptionBot/1.0'
+    }
+  };
+
+  try {
+    return await withCache('open-library', `text:${cacheKeyPart(query)}`, async () => {
+      const searchData = await httpsRequest(searchOptions);
+
+      if (!searchData.docs || searchData.docs.length === 0) {
+        return [];
+      }
+
+      const results = [];
+
+      for (const doc of searchData.docs.slice(0, 3)) {
+        if (!doc.key) continue;
+
+        const workOptions = {
+          hostname: 'openlibrary.org',
+          path: `${doc.key}.json`,
+          method: 'GET',
+          timeout: settings.timeout,
+          headers: {
+            'User-Agent': 'NotionBookDescriptionBot/1.0'
+          }
+        };
+
+        try {
+          const workData = await httpsRequest(workOptions);
+          const description = openLibraryDescriptionText(workData.description);
+
+          if (description) {
+            results.push({
+              title: doc.title || 'Unknown',
+              authors: doc.author_name || [],
+              description: htmlToFormattedText(description),
+              source: 'Open Library',
+              strategy: 'text',
+              url: `https://openlibrary.org${doc.key}`,
+              metadata: {
+                pages: doc.number_of_pages_median || null,
+                yearPublished: doc.first_publish_year || null,
+                publisher: doc.publisher?.[0] || null,
+                genres: normalizeGenres(workData.subjects || doc.subject),
+                isbn: pickIsbn(doc.isbn),
+                coverUrl: doc.cover_i ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg` : null
+              }
+            });
+          }
+        } catch (err) {
+          console.log(`    Open Library work fetch failed: ${err.message}`);
+        }
+      }
+
+      return results;
+    });
+  } catch (error) {
+    console.log('  X Open Library error:', error.message);
+    throw error;
+  }
+}
+
+async function queryWikidata(sparql, settings = {}) {
+  const data = await httpsRequest({
+    hostname: 'query.wikidata.org',
+    path: `/sparql?format=json&query=${encodeURIComponent(sparql)}`,
+    method: 'GET',
+    timeout: settings.timeout,
+    headers: {
+      'Accept': 'application/sparql-results+json',
+      'User-Agent': WIKIMEDIA_USER_AGENT
+    }
+  });
+  return data?.results?.bindings || [];
+}
+
+// Builds a query for the works bound to ?work by itemsClause that are
+// literary or written works and have an article on Wikipedia
+function wikidataWorksQuery(itemsClause) {
+  const lang = WIKIPEDIA_LANGUAGE;
+  return `SELECT ?work ?workLabel ?article (GROUP_CONCAT(DISTINCT ?authorLabel; separator="|") AS ?authors) (MIN(?date) AS ?published) WHERE {
+  ${itemsClause}
+  FILTER EXISTS { ?work wdt:P31/wdt:P279* ?type . VALUES ?type { ${WIKIDATA_WORK_TYPES.join(' ')} } }
+  ?article schema:about ?work ; schema:isPartOf <https://${lang}.wikipedia.org/> .
+  OPTIONAL { ?work rdfs:label ?workLabel . FILTER(LANG(?workLabel) = "${lang}") }
+  OPTIONAL { ?work wdt:P50 ?author . ?author rdfs:label ?authorLabel . FILTER(LANG(?authorLabel) = "${lang}") }
+  OPTIONAL { ?work wdt:P577 ?date }
+}
+GROUP BY ?work ?workLabel ?article
+LIMIT 3`;
+}
+
+// Fetches only the lead section of an article (everything before the first
+// heading), so Plot and Synopsis sections and their spoilers are left out
+async function fetchWikipediaLead(articleUrl, settings = {}) {
+  const title = decodeURIComponent(new URL(articleUrl).pathname.replace(/^\/wiki\//, ''));
+  const data = await httpsRequest({
+    hostname: `${WIKIPEDIA_LANGUAGE}.wikipedia.org`,
+    path: `/w/api.php?action=query&prop=extracts&exintro=1&redirects=1&format=json&formatversion=2&titles=${encodeURIComponent(title)}`,
+    method: 'GET',
+    timeout: settings.timeout,
+    headers: {
+      'User-Agent': WIKIMEDIA_USER_AGENT
+    }
+  });
+  return data?.query?.pages?.[0]?.extract || '';
+}
+
+async function wikidataWorksToCandidates(rows, strategy, settings) {
+  const results = [];
+
+  for (const row of rows) {
+    const lead = htmlToFormattedText(await fetchWikipediaLead(row.article.value, settings));
+    if (formattedTextToPlainText(lead).length < 20) continue;
+
+    results.push({
+      title: row.workLabel?.value || 'Unknown',
+      authors: row.authors?.value ? row.authors.value.split('|') : [],
+      description: lead,
+      source: 'Wikipedia',
+      strategy,
+      url: row.article.value,
+      metadata: {
+        yearPublished: yearFrom(row.published?.value)
+      }
+    });
+  }
+  return results;
+}
+
+// Every way of hyphenating an ISBN into its group, publisher, title and
+// check digit (plus the 978/979 prefix of an ISBN-13). The part lengths
+// depend on range tables we don't carry, so all plausible splits are listed.
+function isbnHyphenations(isbn) {
+  const prefix = isbn.length === 13 ? isbn.slice(0, 3) : null;
+  const body = isbn.slice(prefix ? 3 : 0, -1);
+  const check = isbn.slice(-1);
+  const forms = [];
+
+  for (let group = 1; group <= 5; group++) {
+    for (let registrant = 1; registrant <= 7 && group + registrant < body.length; registrant++) {
+      forms.push([prefix, body.slice(0, group), body.slice(group, group + registrant), body.slice(group + registrant), check]
+        .filter(Boolean)
+        .join('-'));
+    }
+  }
+  return forms;
+}
+
+async function searchWikipediaByIsbn(isbn, settings = {}) {
+  try {
+    return await withCache('wikipedia', `isbn:${isbn}`, async () => {
+      // Wikidata stores ISBNs hyphenated, usually on an edition item that
+      // points at its work with "edition or translation of" (P629). Looking
+      // up the exact hyphenated strings uses the index, where comparing with
+      // the hyphens stripped would scan every ISBN statement.
+      const property = isbn.length === 13 ? 'wdt:P212' : 'wdt:P957';
+      const values = isbnHyphenations(isbn).map(form => `"${form}"`).join(' ');
+      const rows = await queryWikidata(wikidataWorksQuery(`VALUES ?isbn { ${values} }
+  ?edition ${property} ?isbn .
+  OPTIONAL { ?edition wdt:P629 ?parent }
+  BIND(COALESCE(?parent, ?edition) AS ?work)`), settings);
+      return await wikidataWorksToCandidates(rows, 'isbn', settings);
+    });
+  } catch (error) {
+    console.log('  X Wikipedia ISBN error:', error.message);
+    throw error;
+  }
+}
+
+async function searchWikipediaDescription(title, author, settings = {}) {
+  const query = author ? `${title} ${author}` : title;
+
+  try {
+    return await withCache('wikipedia', `text:${cacheKeyPart(query)}`, async () => {
+      // Wikidata's entity search matches labels, so search by title alone and
+      // let the match scoring check the author
+      const search = await httpsRequest({
+        hostname: 'www.wikidata.org',
+        path: `/w/api.php?action=wbsearchentities&search=${encodeURIComponent(title)}&language=${WIKIPEDIA_LANGUAGE}&type=item&limit=10&format=json`,
+        method: 'GET',
+        timeout: settings.timeout,
+        headers: {
+          'User-Agent': WIKIMEDIA_USER_AGENT
+        }
+      });
+
+      const ids = (search?.search || []).map(item => item.id).filter(id => /^Q\d+$/.test(id));
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const rows = await queryWikidata(wikidataWorksQuery(`VALUES ?work { ${ids.map(id => `wd:${id}`).join(' ')} }`), settings);
+      return await wikidataWorksToCandidates(rows, 'text', settings);
+    });
+  } catch (error) {
+    console.log('  X Wikipedia error:', error.message);
+    throw error;
+  }
+}
+
+async function searchHardcoverByIsbn(isbn, settings = {}) {
+  const isbnField = isbn.length === 13 ? 'isbn_13' : 'isbn_10';
+  const graphqlQuery = {
+    query: `query ($isbn: String!) {
+      editions(where: { ${isbnField}: { _eq: $isbn } }, limit: 1) {
+        pages release_date isbn_13 isbn_10
+        publisher { name }
+        image { url }
+        book { title slug description contributions { author { name } } }
+      }
+    }`,
+    variables: { isbn }
+  };
+
+  const options = {
+    hostname: 'api.hardcover.app',
+    path: '/v1/graphql',
+    method: 'POST',
+    idempotent: true,
+    timeout: settings.timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${HARDCOVER_TOKEN}`
+    }
+  };
+
+  try {
+    return await withCache('hardcover', `isbn:${isbn}`, async () => {
+      const data = await httpsRequest(options, graphqlQuery);
+      if (data?.errors) {
+        throw new Error(data.errors.map(e => e.message).join('; '));
+      }
+
+      const edition = data?.data?.editions?.[0];
+      const book = edition?.book;
+
+      if (!book?.description) {
+        return [];
+      }
+
+      return [{
+        title: book.title || 'Unknown',
+        authors: (book.contributions || []).map(c => c.author?.name).filter(Boolean),
+        description: htmlToFormattedText(book.description),
+        source: 'Hardcover',
+        strategy: 'isbn',
+        url: book.slug ? `https://hardcover.app/books/${book.slug}` : null,
+        metadata: {
+          pages: edition.pages || null,
+          yearPublished: yearFrom(edition.release_date),
+          publisher: edition.publisher?.name || null,
+          genres: [],
+          isbn: pickIsbn([edition.isbn_13, edition.isbn_10, isbn]),
+          coverUrl: edition.image?.url || null
+        }
+      }];
+    });
+  } catch (error) {
+    console.log('  X Hardcover ISBN error:', error.message);
+    throw error;
+  }
+}
+
+async function searchHardcoverDescription(title, author, settings = {}) {
+  const query = author ? `${title} ${author}` : title;
+
+  const graphqlQuery = {
+    query: `{ search(query: "${query.replace(/"/g, '\\"')}", query_type: "books", per_page: 3) { results } }`
+  };
+
+  const postBody = JSON.stringify(graphqlQuery);
+
+  const options = {
+    hostname: 'api.hardcover.app',
+    path: '/v1/graphql',
+    method: 'POST',
+    idempotent: true,
+    timeout: settings.timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${HARDCOVER_TOKEN}`
+    }
+  };
+
+  try {
+    return await withCache('hardcover', `text:${cacheKeyPart(query)}`, async () => {
+      const data = await httpsRequest(options, postBody);
+      if (data?.errors) {
+        throw new Error(data.errors.map(e => e.message).join('; '));
+      }
+
+      if (!data?.data?.search?.results?.hits) {
+        return [];
+      }
+
+      return data.data.search.results.hits
+        .filter(hit => hit.document?.description)
+        .map(hit => {
+          const doc = hit.document;
+          return {
+            title: doc.title || 'Unknown',
+            authors: doc.author_names || [],
+            description: htmlToFormattedText(doc.description),
+            source: 'Hardcover',
+            strategy: 'text',
+            url: doc.slug ? `https://hardcover.app/books/${doc.slug}` : null,
+            metadata: {
+              pages: doc.pages || null,
+              yearPublished: doc.release_year || null,
+              publisher: null,
+              genres: normalizeGenres(doc.genres),
+              isbn: pickIsbn(doc.isbns),
+              coverUrl: doc.image?.url || null
+            }
+          };
+        });
+    });
+  } catch (error) {
+    console.log('  X Hardcover error:', error.message);
+    throw error;
+  }
+}
+
+const GOODREADS_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+};
+const GOODREADS_BOOK_PATH_PATTERN = /\/book\/show\/[^"'?#\s<>]+/;
+
+function htmlToPlainText(html) {
+  return formattedTextToPlainText(htmlToFormattedText(html || '')).trim();
+}
+
+// Reads the book rows of a Goodreads search page as { path, title, authors }.
+// If the rows can't be found, every book link is returned without a title.
+function parseGoodreadsSearchResults(html) {
+  const results = [];
+  const seen = new Set();
+
+  for (const row of html.split(/<tr\b[^>]*itemtype=["']https?:\/\/schema\.org\/Book["'][^>]*>/i).slice(1)) {
+    const path = row.match(GOODREADS_BOOK_PATH_PATTERN)?.[0];
+    if (!path || seen.has(path)) continue;
+    seen.add(path);
+
+    const title = row.match(/class=["']bookTitle["'][\s\S]*?<span[^>]*itemprop=["']name["'][^>]*>([\s\S]*?)<\/span>/i)?.[1];
+    const authors = [...row.matchAll(/class=["']authorName["'][\s\S]*?<span[^>]*itemprop=["']name["'][^>]*>([\s\S]*?)<\/span>/gi)]
+      .map(match => htmlToPlainText(match[1]))
+      .filter(Boolean);
+    results.push({ path, title: htmlToPlainText(title), authors });
+  }
+
+  if (results.length === 0) {
+    for (const match of html.matchAll(new RegExp(GOODREADS_BOOK_PATH_PATTERN, 'g'))) {
+      if (seen.has(match[0])) continue;
+      seen.add(match[0]);
+      results.push({ path: match[0], title: '', authors: [] });
+    }
+  }
+  return results;
+}
+
+// Picks the search result whose title and author best match the book, or
+// null when none is a confident match. Results without a title (when the
+// rows couldn't be read) fall back to the first link.
+function chooseGoodreadsResult(results, title, author) {
+  if (results.length === 0) return null;
+  if (!results.some(result => result.title)) return results[0];
+
+  let best = null;
+  let bestScore = -1;
+  for (const result of results.slice(0, 10)) {
+    const score = scoreMatch(title, author, { title: result.title, authors: result.authors, strategy: 'text' });
+    if (score > bestScore) {
+      best = result;
+      bestScore = score;
+    }
+  }
+  return bestScore >= MATCH_THRESHOLD ? best : null;
+}
+
+// The Book entry of the page's JSON-LD, as { title, authors, isbn, pages,
+// description, coverUrl }, or null
+function goodreadsJsonLdBook(html) {
+  for (const match of html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      continue;
+    }
+
+    const book = [].concat(data['@graph'] || data).find(item => item?.['@type'] === 'Book');
+    if (!book) continue;
+
+    return {
+      title: htmlToPlainText(book.name),
+      authors: [].concat(book.author || []).map(person => htmlToPlainText(person?.name || person)).filter(Boolean),
+      isbn: book.isbn || null,
+      pages: book.numberOfPages || null,
+      description: book.description || '',
+      coverUrl: book.image || null
+    };
+  }
+  return null;
+}
+
+// The book from the page's Next.js state (__NEXT_DATA__), where Goodreads
+// keeps the description as HTML along with the book's details and
+// contributors. Returns { title, authors, description, metadata }, or null.
+function goodreadsNextDataBook(html) {
+  const match = html.match(/<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (!match) return null;
+
+  let state;
+  try {
+    state = JSON.parse(match[1])?.props?.pageProps?.apolloState;
+  } catch (error) {
+    return null;
+  }
+  if (!state) return null;
+
+  // The state also holds other books (series, "readers also enjoyed"),
+  // which come without descriptions
+  const books = Object.entries(state)
+    .filter(([key, value]) => key.startsWith('Book:') && value?.title)
+    .map(([, value]) => value);
+  const book = books.find(value => value.description || value['description({"stripped":true})']) || books[0];
+  if (!book) return null;
+
+  const authors = [book.primaryContributorEdge, ...(book.secondaryContributorEdges || []).filter(edge => edge?.role === 'Author')]
+    .map(edge => state[edge?.node?.__ref]?.name)
+    .filter(Boolean);
+  const details = book.details || {};
+
+  return {
+    title: book.title || book.titleComplete,
+    authors,
+    description: book.description || book['description({"stripped":true})'] || '',
+    metadata: {
+      pages: details.numPages || null,
+      yearPublished: details.publicationTime ? new Date(details.publicationTime).getUTCFullYear() : null,
+      publisher: details.publisher || null,
+      genres: normalizeGenres((book.bookGenres || []).map(bookGenre => bookGenre?.genre?.name).filter(Boolean)),
+      isbn: pickIsbn([details.isbn13, details.isbn]),
+      coverUrl: book.imageUrl || null
+    }
+  };
+}
+
+// Reads a Goodreads book page from its embedded data: JSON-LD for the title,
+// authors and ISBN, and the Next.js state for the description and other
+// details. Falls back to the rendered description markup and the page title
+// for older pages.
+function parseGoodreadsBookPage(html) {
+  const jsonLd = goodreadsJsonLdBook(html) || {};
+  const nextData = goodreadsNextDataBook(html) || { authors: [], metadata: {} };
+  const rendered = html.match(/data-testid="description"[\s\S]*?<span class="Formatted">([\s\S]*?)<\/span>/)?.[1];
+  const pageTitle = htmlToPlainText(html.match(/<title>([^<]*)<\/title>/)?.[1]).replace(/ by .*/, '');
+
+  return {
+    title: jsonLd.title || nextData.title || pageTitle || 'Unknown',
+    authors: jsonLd.authors?.length > 0 ? jsonLd.authors : nextData.authors,
+    description: htmlToFormattedText(nextData.description || rendered || jsonLd.description || ''),
+    metadata: {
+      pages: nextData.metadata.pages || jsonLd.pages || null,
+      yearPublished: nextData.metadata.yearPublished || null,
+      publisher: nextData.metadata.publisher || null,
+      genres: nextData.metadata.genres || [],
+      isbn: nextData.metadata.isbn || pickIsbn([jsonLd.isbn]),
+      coverUrl: nextData.metadata.coverUrl || jsonLd.coverUrl || null
+    }
+  };
+}
+
+async function searchGoodreadsDescription(title, author, settings = {}) {
+  const query = author ? `${title} ${author}` : title;
+  const encodedQuery = encodeURIComponent(query);
+
+  // Step 1: Search Goodreads and pick the result that matches the book
+  const searchOptions = {
+    hostname: 'www.goodreads.com',
+    path: `/search?q=${encodedQuery}`,
+    method: 'GET',
+    timeout: settings.timeout,
+    headers: GOODREADS_HEADERS
+  };
+
+  try {
+    return await withCache('goodreads', `text:${cacheKeyPart(query)}`, async () => {
+      const searchHtml = await httpsRequest(searchOptions);
+
+      if (typeof searchHtml !== 'string') {
+        return [];
+      }
+
+      const searchResult = chooseGoodreadsResult(parseGoodreadsSearchResults(searchHtml), title, author);
+      if (!searchResult) {
+        return [];
+      }
+
+      // Step 2: Fetch the book page and read it
+      const bookPath = searchResult.path;
+      const bookHtml = await httpsRequest({
+        hostname: 'www.goodreads.com',
+        path: bookPath,
+        method: 'GET',
+        timeout: settings.timeout,
+        headers: GOODREADS_HEADERS
+      });
+
+      if (typeof bookHtml !== 'string') {
+        return [];
+      }
+
+      const book = parseGoodreadsBookPage(bookHtml);
+      if (formattedTextToPlainText(book.description).length < 20) {
+        return [];
+      }
+
+      return [{
+        title: book.title,
+        authors: book.authors.length > 0 ? book.authors : searchResult.authors,
+        description: book.description,
+        source: 'Goodreads',
+        strategy: 'text',
+        url: `https://www.goodreads.com${bookPath}`,
+        metadata: book.metadata
+      }];
+    });
+  } catch (error) {
+    console.log('  X Goodreads error:', error.message);
+    throw error;
+  }
+}
+
+// ============================================
+// DESCRIPTION PROVIDERS
+// ============================================
+
+// Every description source is a provider:
+//   name          id used in the config file and the cache
+//   enabled()     whether it can run (e.g. has its API token)
+//   searchByIsbn  (isbn, settings) => candidates, or null if unsupported
+//   searchByText  (title, author, settings) => candidates, or null
+//                 (the searches throw when the source can't be reached)
+//   priority      lower runs first and is listed first to Claude
+//   fallbackOnly  only tried when no other provider found a confident match
+// settings.timeout is the provider's request timeout, if configured.
+// A new source only needs an entry here.
+const PROVIDERS = [
+  {
+    name: 'google-books',
+    enabled: () => true,
+    searchByIsbn: searchGoogleBooksByIsbn,
+    searchByText: searchGoogleBooksDescription,
+    priority: 10,
+    fallbackOnly: false
+  },
+  {
+    name: 'open-library',
+    enabled: () => true,
+    searchByIsbn: searchOpenLibraryByIsbn,
+    searchByText: searchOpenLibraryDescription,
+    priority: 20,
+    fallbackOnly: false
+  },
+  {
+    // Lead sections of Wikipedia articles, for classics and older books
+    // that have no usable blurb elsewhere
+    name: 'wikipedia',
+    enabled: () => true,
+    searchByIsbn: searchWikipediaByIsbn,
+    searchByText: searchWikipediaDescription,
+    priority: 25,
+    fallbackOnly: false
+  },
+  {
+    name: 'hardcover',
+    enabled: () => Boolean(HARDCOVER_TOKEN),
+    searchByIsbn: searchHardcoverByIsbn,
+    searchByText: searchHardcoverDescription,
+    priority: 30,
+    fallbackOnly: false
+  },
+  {
+    // Scraping is slow and fragile, so it's the last resort
+    name: 'goodreads',
+    enabled: () => true,
+    searchByIsbn: null,
+    searchByText: searchGoodreadsDescription,
+    priority: 100,
+    fallbackOnly: true
+  }
+];
+
+let activeProviders = null;
+
+// Applies the config file's "providers" section, which can set enabled,
+// priority, fallbackOnly and timeoutMs for each provider by name, and
+// returns the providers that can run, in priority order
+function getProviders() {
+  if (activeProviders) {
+    return activeProviders;
+  }
+
+  const overrides = readConfigFile()?.providers || {};
+  const unknown = Object.keys(overrides).filter(name => !PROVIDERS.some(provider => provider.name === name));
+  if (unknown.length > 0) {
+    console.log(`! Config file has unknown providers: ${unknown.join(', ')}`);
+  }
+
+  activeProviders = PROVIDERS
+    .map(provider => {
+      const override = overrides[provider.name] || {};
+      return {
+        ...provider,
+        priority: override.priority ?? provider.priority,
+        fallbackOnly: override.fallbackOnly ?? provider.fallbackOnly,
+        isEnabled: override.enabled !== false && provider.enabled(),
+        settings: { timeout: override.timeoutMs }
+      };
+    })
+    .filter(provider => provider.isEnabled)
+    .sort((a, b) => a.priority - b.priority);
+
+  return activeProviders;
+}
+
+// Runs one kind of search on every given provider that supports it, in
+// parallel, and returns the candidates in provider priority order. A
+// provider that errors counts as finding nothing, and the search is
+// recorded in result.searchCount and, if it errored, result.sourceErrors.
+async function searchProviders(providers, method, args, result) {
+  const results = await Promise.all(providers
+    .filter(provider => provider[method])
+    .map(async (provider) => {
+      result.searchCount++;
+      try {
+        return await provider[method](...args, provider.settings);
+      } catch (error) {
+        result.sourceErrors.push({ provider: provider.name, message: error.message });
+        return [];
+      }
+    }));
+  return results.flat();
+}
+
+// ============================================
+// SEARCH QUERY FUNCTIONS
+// ============================================
+
+// Parenthesised series markers, e.g. "(The Broken Earth #1)", "[Dune Saga, Book 2]"
+const SERIES_PATTERN = /\s*[([]([^)\]]*(?:#\s*\d|\bbook\s+\d|\bvol(?:ume)?\.?\s*\d|\bseries\b|\btrilogy\b|\bsaga\b)[^)\]]*)[)\]]/gi;
+// Edition notes, in brackets or as the whole subtitle, e.g. "(Penguin Classics)",
+// ": 25th Anniversary Edition"
+const EDITION_WORDS = /\b(?:edition|classics?|unabridged|abridged|illustrated|annotated|reprint|paperback|hardcover|hardback|kindle|ebook|audiobook|box(?:ed)? set)\b/i;
+const BRACKETED_PATTERN = /\s*[([]([^)\]]*)[)\]]/g;
+// Parts of an author string that name someone other than an author, e.g.
+// "Translated by Jay Rubin", "an introduction by Tony Tanner", "notes by ..."
+// (but not "written by ...")
+const AUTHOR_ROLE_PATTERN = /^(?:an?\s+|the\s+)?(?:new\s+)?(?:translated|trans\.|edited|ed\.|eds\.|illustrated|introduced|narrated|read|selected|compiled|foreword|introduction|afterword|preface|notes|illustrations|commentary)\b|^(?!written\b)(?:[a-z.]+\s+){1,3}by\s|\((?:translat|trans\.|editor|ed\.|eds\.|illustrat|narrat|read|foreword|introduction|afterword|contributor)[^)]*\)/i;
+
+// Splits a title into its main title, subtitle, series and edition, e.g.
+// "The Fifth Season (The Broken Earth #1)" or "Sapiens: A Brief History of
+// Humankind". Returns { main, subtitle, series, edition } (null when absent).
+function parseBookTitle(title) {
+  let rest = String(title || '').trim();
+  let series = null;
+  const editions = [];
+
+  rest = rest.replace(SERIES_PATTERN, (match, inner) => {
+    series = series || inner.trim();
+    return '';
+  });
+  rest = rest.replace(BRACKETED_PATTERN, (match, inner) => {
+    if (!EDITION_WORDS.test(inner)) return match;
+    editions.push(inner.trim());
+    return '';
+  });
+
+  const [main, ...subtitleParts] = rest.split(/\s*:\s+|\s+[-–—]\s+/);
+  let subtitle = subtitleParts.join(': ').trim() || null;
+  if (subtitle && EDITION_WORDS.test(subtitle) && subtitle.split(/\s+/).length <= 5) {
+    editions.push(subtitle);
+    subtitle = null;
+  }
+
+  return {
+    main: main.trim() || rest.trim(),
+    subtitle,
+    series,
+    edition: editions.join(', ') || null
+  };
+}
+
+// Splits an author string ("Haruki Murakami; Translated by Jay Rubin",
+// "Neil Gaiman & Terry Pratchett", "Clarke, Susanna (Author)") into the
+// authors' names, dropping translators, editors and the like
+function parseAuthors(author) {
+  return String(author || '')
+    .replace(/\s*\((?:author|auth\.)\)/gi, '')
+    .split(/\s*(?:;|\||&|\band\b|\bwith\b)\s*|,\s*(?=[^,]+\s[^,]+)/i)
+    .map(name => name.trim())
+    .filter(name => name && !AUTHOR_ROLE_PATTERN.test(name));
+}
+
+// The text searches to try for a book, in order: the title and author as
+// written, then the main title with the first author, then the main title
+// alone. Queries that would repeat an earlier one are left out.
+function buildSearchQueries(title, author) {
+  const mainTitle = parseBookTitle(title).main;
+  const firstAuthor = parseAuthors(author)[0] || '';
+  const queries = [
+    { label: 'exact', title: String(title || '').trim(), author: String(author || '').trim() },
+    { label: 'main title and author', title: mainTitle, author: firstAuthor },
+    { label: 'title only', title: mainTitle, author: '' }
+  ];
+
+  const seen = new Set();
+  return queries.filter(query => {
+    const key = `${query.title.toLowerCase()}|${query.author.toLowerCase()}`;
+    if (!query.title || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ============================================
+// MATCH SCORING
+// ============================================
+
+// Words that mark companion books rather than the book itself
+const COMPANION_BOOK_PATTERN = /\b(study guide|summary|sparknotes|cliffsnotes|analysis|workbook|teacher s guide|reader s guide|conversation starters|trivia|quiz|book companion)\b/;
+
+function normalizeForMatch(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Reduces a title to its main part: drops series markers like
+// "(The Broken Earth #1)", edition notes, subtitles after ":" or " - ", and
+// leading articles
+function normalizeTitle(title) {
+  return normalizeForMatch(parseBookTitle(title).main).replace(/^(the|a|an) /, '');
+}
+
+// Surnames are the most reliable part of an author string across sources
+// ("Clarke, Susanna", "Susanna Clarke", "S. Clarke")
+function authorSurnames(author) {
+  return author
+    .split(/\s*(?:;|&|\band\b|\bwith\b)\s*|,\s*(?=[^,]+\s[^,]+)/i)
+    .map(name => {
+      const commaParts = name.split(',');
+      const surname = commaParts.length > 1 ? commaParts[0] : name.trim().split(/\s+/).pop();
+      return normalizeForMatch(surname);
+    })
+    .filter(surname => surname.length > 1);
+}
+
+function wordSimilarity(a, b) {
+  const wordsA = a.split(' ').filter(Boolean);
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.length === 0 || wordsB.size === 0) return 0;
+  const shared = wordsA.filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.length + wordsB.size);
+}
+
+function scoreTitle(wantedTitle, foundTitle) {
+  const wanted = normalizeTitle(wantedTitle);
+  const found = normalizeTitle(foundTitle);
+
+  let score;
+  if (wanted && wanted === found) {
+    score = 1;
+  } else if (wanted && found && (found.startsWith(wanted) || wanted.startsWith(found))) {
+    score = 0.8;
+  } else {
+    score = wordSimilarity(wanted, found) * 0.7;
+  }
+
+  // A study guide or summary of the book is never the book
+  const foundFull = normalizeForMatch(foundTitle);
+  if (COMPANION_BOOK_PATTERN.test(foundFull) && !COMPANION_BOOK_PATTERN.test(normalizeForMatch(wantedTitle))) {
+    score *= 0.3;
+  }
+
+  return score;
+}
+
+// Returns 1 when an author surname matches, 0 when none do, or null when
+// either side has no author to compare
+function scoreAuthor(wantedAuthor, foundAuthors) {
+  if (!wantedAuthor || foundAuthors.length === 0) {
+    return null;
+  }
+
+  // Compare word by word so "Garcia Marquez" still matches "Marquez"
+  const wanted = authorSurnames(wantedAuthor).flatMap(surname => surname.split(' '));
+  const found = new Set(foundAuthors.flatMap(authorSurnames).flatMap(surname => surname.split(' ')));
+  if (wanted.length === 0 || found.size === 0) {
+    return null;
+  }
+
+  return wanted.some(word => word.length > 1 && found.has(word)) ? 1 : 0;
+}
+
+// 0-1 score for how likely a candidate is the requested book
+function scoreMatch(title, author, candidate) {
+  // An ISBN lookup is an exact identifier match
+  if (candidate.strategy === 'isbn') {
+    return 1;
+  }
+
+  const titleScore = scoreTitle(title, candidate.title);
+  const authorScore = scoreAuthor(author, candidate.authors);
+
+  // Without authors to compare, a title match alone is less certain
+  const score = authorScore === null
+    ? titleScore * 0.8
+    : titleScore * 0.6 + authorScore * 0.4;
+
+  return Math.round(score * 100) / 100;
+}
+
+// Scores each candidate and drops those below MATCH_THRESHOLD
+function filterConfidentMatches(title, author, candidates) {
+  const kept = [];
+
+  for (const candidate of candidates) {
+    candidate.matchScore = scoreMatch(title, author, candidate);
+    const label = `"${candidate.title}"${candidate.authors.length > 0 ? ` by ${candidate.authors.join(', ')}` : ''} from ${candidate.source}`;
+
+    if (candidate.matchScore >= MATCH_THRESHOLD) {
+      console.log(`    Match ${candidate.matchScore.toFixed(2)}: ${label}`);
+      kept.push(candidate);
+    } else {
+      console.log(`    Dropped ${candidate.matchScore.toFixed(2)}: ${label}`);
+    }
+  }
+
+  return kept;
+}
+
+// ============================================
+// LANGUAGE FUNCTIONS
+// ============================================
+
+// Common short words of each language the detector knows
+const LANGUAGE_STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'his', 'her', 'that', 'with', 'for', 'was', 'on', 'he', 'she', 'it', 'by', 'from', 'this', 'who', 'but', 'their', 'has', 'are'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'sich', 'den', 'von', 'auf', 'für', 'im', 'dem', 'des', 'sie', 'er', 'es', 'auch', 'als', 'wie', 'nach', 'ihr', 'sein'],
+  es: ['el', 'la', 'de', 'que', 'y', 'a', 'en', 'los', 'las', 'un', 'una', 'del', 'se', 'por', 'con', 'para', 'su', 'es', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'muy', 'también', 'cuando', 'hasta'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'un', 'une', 'du', 'est', 'dans', 'que', 'qui', 'pour', 'pas', 'sur', 'au', 'il', 'elle', 'avec', 'ce', 'son', 'sa', 'ses', 'mais', 'aux'],
+  it: ['il', 'di', 'che', 'e', 'la', 'un', 'una', 'per', 'non', 'del', 'della', 'sono', 'con', 'gli', 'le', 'nel', 'si', 'da', 'al', 'come', 'lo', 'suo', 'sua', 'ma', 'più'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'as', 'dos', 'das', 'no', 'na', 'por', 'mais', 'seu', 'sua', 'mas', 'ao', 'muito', 'também', 'quando', 'até'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'dat', 'die', 'niet', 'is', 'zijn', 'op', 'te', 'met', 'voor', 'hij', 'zij', 'ze', 'maar', 'ook', 'als', 'aan', 'bij', 'naar', 'om']
+};
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German',
+  es: 'Spanish',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch'
+};
+const LANGUAGE_STOPWORD_SETS = Object.fromEntries(
+  Object.entries(LANGUAGE_STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// The note under a translated description, in the language it was
+// translated into: a template and the source language's name as it fits there
+const TRANSLATION_NOTES = {
+  en: ['Translated from {language}.', LANGUAGE_NAMES],
+  de: ['Aus dem {language} übersetzt.', { en: 'Englischen', de: 'Deutschen', es: 'Spanischen', fr: 'Französischen', it: 'Italienischen', pt: 'Portugiesischen', nl: 'Niederländischen' }],
+  es: ['Traducido del {language}.', { en: 'inglés', de: 'alemán', es: 'español', fr: 'francés', it: 'italiano', pt: 'portugués', nl: 'neerlandés' }],
+  fr: ['Traduit {language}.', { en: "de l'anglais", de: "de l'allemand", es: "de l'espagnol", fr: 'du français', it: "de l'italien", pt: 'du portugais', nl: 'du néerlandais' }],
+  it: ['Tradotto {language}.', { en: "dall'inglese", de: 'dal tedesco', es: 'dallo spagnolo', fr: 'dal francese', it: "dall'italiano", pt: 'dal portoghese', nl: "dall'olandese" }],
+  pt: ['Traduzido do {language}.', { en: 'inglês', de: 'alemão', es: 'espanhol', fr: 'francês', it: 'italiano', pt: 'português', nl: 'neerlandês' }],
+  nl: ['Vertaald uit het {language}.', { en: 'Engels', de: 'Duits', es: 'Spaans', fr: 'Frans', it: 'Italiaans', pt: 'Portugees', nl: 'Nederlands' }]
+};
+
+function languageName(language) {
+  return LANGUAGE_NAMES[language] || language;
+}
+
+// Falls back to English for a language without a note
+function translationNote(fromLanguage, toLanguage) {
+  const [template, names] = TRANSLATION_NOTES[toLanguage] || TRANSLATION_NOTES.en;
+  return template.replace('{language}', names[fromLanguage] || languageName(fromLanguage));
+}
+
+// Guesses a description's language from how many of its words are common
+// words of each language. Returns an ISO 639-1 code, or null when the text
+// is too short or no language clearly wins.
+function detectLanguage(description) {
+  const words = formattedTextToPlainText(description || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 8) return null;
+
+  const counts = Object.entries(LANGUAGE_STOPWORD_SETS)
+    .map(([language, stopwords]) => ({ language, count: words.filter(word => stopwords.has(word)).length }))
+    .sort((a, b) => b.count - a.count);
+
+  const [best, second] = counts;
+  if (best.count < Math.max(3, words.length * 0.1) || best.count === second.count) {
+    return null;
+  }
+  return best.language;
+}
+
+// ============================================
+// DESCRIPTION QUALITY FUNCTIONS
+// ============================================
+
+// Signs that a description is marketing copy rather than a blurb
+const PROMOTIONAL_PATTERNS = [
+  { label: 'bestseller claims', pattern: /\bbest[- ]?sell(?:er|ing)\b|#\s*1\b|\bnumber one\b/i },
+  { label: 'newspaper mentions', pattern: /\bnew york times\b|\bNYT\b|\busa today\b|\bsunday times\b/i },
+  { label: 'award mentions', pattern: /\b(?:winner|finalist|shortlisted|longlisted)\s+(?:of|for)\s+the\b/i },
+  { label: 'adaptation tie-ins', pattern: /\bnow an? (?:major )?(?:motion picture|film|movie|(?:netflix |hbo |tv )?series)\b/i },
+  { label: 'review praise', pattern: /\bpraise for\b|\bcritically acclaimed\b/i },
+  { label: 'marketing superlatives', pattern: /\bmust[- ]read\b|\bpage[- ]turner\b|\bunputdownable\b|\btour de force\b/i },
+  { label: 'press quotes', pattern: /["\u201C][^"\u201D]{3,200}["\u201D]\s*(?:\u2014|\u2013|--?)\s*[A-Z]/ }
+];
+
+// Rules for the rule-based cleaner, matched against the plain text of the
+// opening sentences of each line. lineOnly rules only match a whole line;
+// leadingOnly rules only match at the very start of the description.
+const PROMO_RULES = [
+  // Checked first, so a bestseller claim inside the lead-in doesn't take the
+  // premise that follows it along (see stripLeadIn)
+  { label: 'from the author of', pattern: /^(?:from|by) the\b.{0,80}\bauthor of\b(?!.*\b(?:comes?|arrives?)\b)/i, leadingOnly: true, leadIn: true },
+  {
+    label: 'press quote',
+    pattern: /^["\u201C\u2018'].{3,600}["\u201D\u2019'][,.]?\s*(?:\u2014|\u2013|\u2015|--?)\s*[^"\u201C\u201D\s][^"\u201C\u201D]{0,100}$/,
+    lineOnly: true
+  },
+  { label: 'quote attribution', pattern: /^(?:\u2014|\u2013|\u2015|--?)\s*\S.{0,100}$/, lineOnly: true },
+  { label: 'praise heading', pattern: /^(?:advance |early )?praise for\b.{0,150}$/i, lineOnly: true },
+  {
+    label: 'bestseller claim',
+    pattern: /(?:#\s*1\b|\b(?:number one|instant|international|national|new york times|nyt|usa today|sunday times|wall street journal|indie)\b)[^.!?]{0,40}\bbest[- ]?sell(?:er|ing)\b|\bbook club (?:pick|selection)\b/i
+  },
+  {
+    label: 'award mention',
+    pattern: /\b(?:winner|finalist|shortlisted|longlisted)\b.{0,80}\b(?:prize|award|medal|book of the year)\b|\b(?:prize|award)[- ]winning\b/i
+  },
+  {
+    label: 'adaptation tie-in',
+    pattern: /\bnow an? (?:major )?(?:motion picture|film|movie|(?:netflix |hbo |hulu |amazon |apple tv\+? |tv )?(?:original )?(?:series|show))\b/i
+  }
+];
+
+// Lines and sentences longer than this are treated as part of the blurb
+const MAX_PROMO_LINE_LENGTH = 200;
+
+function matchPromoRule(plain, { leading, wholeLine }) {
+  if (plain.length > MAX_PROMO_LINE_LENGTH) return null;
+  return PROMO_RULES.find(rule =>
+    (wholeLine || !rule.lineOnly) && (leading || !rule.leadingOnly) && rule.pattern.test(plain)) || null;
+}
+
+function removePromoSentences(line, leading, removed) {
+  const quoteRule = matchPromoRule(formattedTextToPlainText(line).trim(), { leading, wholeLine: true });
+  if (quoteRule?.lineOnly) {
+    removed.push({ rule: quoteRule.label, text: formattedTextToPlainText(line).trim() });
+    return '';
+  }
+
+  // Sentence by sentence from the start, until one belongs to the blurb
+  while (line) {
+    const split = splitFirstSentence(line) || { sentence: line, rest: '' };
+    const sentence = formattedTextToPlainText(split.sentence).trim();
+    const rule = matchPromoRule(sentence, { leading, wholeLine: !split.rest });
+    if (!rule) break;
+
+    // "From the author of X, a novel about..." goes on into the premise, so
+    // only the lead-in is removed, or nothing if it can't be split off safely
+    if (rule.leadIn && sentence.includes(',')) {
+      const stripped = stripLeadIn(split.sentence);
+      if (stripped) {
+        removed.push({ rule: rule.label, text: formattedTextToPlainText(stripped.leadIn).trim() });
+        line = [stripped.rest, split.rest].filter(Boolean).join(' ');
+      }
+      break;
+    }
+
+    removed.push({ rule: rule.label, text: sentence });
+    line = split.rest;
+  }
+  return line;
+}
+
+// Splits "From the author of <i>X</i>, a novel about..." at the comma after
+// the lead-in. Returns { leadIn, rest } with rest capitalized, or null when
+// the split isn't safe: the text after the comma doesn't start a noun phrase
+// (as in a list of titles) or the lead-in leaves a tag open.
+function stripLeadIn(sentence) {
+  const match = sentence.match(/^([^,]{1,150}),\s+(?=(?:a|an|the|this|her|his|their|its)\s)/i);
+  if (!match || !hasBalancedTags(match[1])) return null;
+
+  const rest = sentence.slice(match[0].length);
+  return { leadIn: match[1], rest: rest.charAt(0).toUpperCase() + rest.slice(1) };
+}
+
+function hasBalancedTags(text) {
+  return ['i', 'b'].every(tag =>
+    (text.match(new RegExp(`<${tag}>`, 'g')) || []).length === (text.match(new RegExp(`</${tag}>`, 'g')) || []).length);
+}
+
+// Splits the first sentence off a line of formatted text, if it ends within
+// MAX_PROMO_LINE_LENGTH characters and doesn't cut through an <i> or <b> tag
+function splitFirstSentence(line) {
+  const match = line.match(/^(.{1,400}?[.!?\u2026]["\u201D\u2019]?)\s+(?=\S)/);
+  if (!match) return null;
+
+  const sentence = match[1];
+  return hasBalancedTags(sentence) ? { sentence, rest: line.slice(match[0].length) } : null;
+}
+
+// The rule-based cleaner: removes press quotes with attributions, bestseller,
+// award and book club lines, "Now a major motion picture" and a leading
+// "From the author of..." from formatted text, working on whole lines and on
+// the opening sentences of each line so the blurb itself is never cut into.
+// Returns { text, removed: [{ rule, text }] }. If nothing much would be
+// left, the original text is returned with nothing removed.
+function cleanPromotionalText(description) {
+  const removed = [];
+  const kept = [];
+  let leading = true;
+
+  for (let line of (description || '').split('\n')) {
+    const plain = formattedTextToPlainText(line).trim();
+    if (!plain) {
+      kept.push(line);
+      continue;
+    }
+
+    line = removePromoSentences(line, leading, removed);
+    if (line) {
+      kept.push(line);
+      leading = false;
+    }
+  }
+
+  const text = kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (removed.length > 0 && formattedTextToPlainText(text).trim().length < 20) {
+    return { text: description, removed: [] };
+  }
+  return { text, removed };
+}
+
+// Scores a description from 0 to 1 and lists what's wrong with it. Short
+// text loses up to half its score, and each kind of promotional content
+// found costs 0.2.
+function assessDescription(description) {
+  const text = formattedTextToPlainText(description || '').trim();
+  const problems = [];
+  let score = 1;
+
+  if (text.length < MIN_DESCRIPTION_LENGTH) {
+    problems.push(`only ${text.length} characters`);
+    score -= 0.5 * (1 - text.length / MIN_DESCRIPTION_LENGTH);
+  }
+
+  const promotional = PROMOTIONAL_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ label }) => label);
+  if ((text.match(/!/g) || []).length >= 2) {
+    promotional.push('exclamation marks');
+  }
+  if (promotional.length > 0) {
+    problems.push(`promotional text (${promotional.join(', ')})`);
+    score -= 0.2 * promotional.length;
+  }
+
+  return { score: Math.max(0, Math.round(score * 100) / 100), problems };
+}
+
+// ============================================
+// CLAUDE AI FUNCTIONS
+// ============================================
+
+// USD per million input/output tokens, matched by model name prefix
+const CLAUDE_PRICES = [
+  { prefix: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 },
+  { prefix: 'claude-haiku-4', input: 1, output: 5 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15 },
+  { prefix: 'claude-opus-4-5', input: 5, output: 25 },
+  { prefix: 'claude-3-opus', input: 15, output: 75 },
+  { prefix: 'claude-opus-4', input: 15, output: 75 }
+];
+
+// Token usage and estimated cost of every Claude call in this run
+const claudeUsage = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+let warnedAboutPrice = false;
+
+function claudePrice(model) {
+  if (process.env.CLAUDE_INPUT_PRICE && process.env.CLAUDE_OUTPUT_PRICE) {
+    return { input: parseFloat(process.env.CLAUDE_INPUT_PRICE), output: parseFloat(process.env.CLAUDE_OUTPUT_PRICE) };
+  }
+
+  // Longest prefix first, so "claude-opus-4-5" doesn't match "claude-opus-4"
+  const price = [...CLAUDE_PRICES]
+    .sort((a, b) => b.prefix.length - a.prefix.length)
+    .find(entry => model.startsWith(entry.prefix));
+  if (price) {
+    return price;
+  }
+
+  if (!warnedAboutPrice) {
+    console.log(`  ! No price known for ${model}, estimating at $3/$15 per million tokens (set CLAUDE_INPUT_PRICE and CLAUDE_OUTPUT_PRICE)`);
+    warnedAboutPrice = true;
+  }
+  return { input: 3, output: 15 };
+}
+
+function claudeUsageSummary() {
+  return `${claudeUsage.calls} call(s), ${claudeUsage.inputTokens} input + ${claudeUsage.outputTokens} output tokens, ~${formatCost(claudeUsage.costUsd)} (${CLAUDE_MODEL})`;
+}
+
+function claudeBudgetReached() {
+  return CLAUDE_MAX_RUN_COST_USD > 0 && claudeUsage.costUsd >= CLAUDE_MAX_RUN_COST_USD;
+}
+
+function formatCost(usd) {
+  return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+// Sends one Messages API request with the configured model, forcing Claude
+// to answer with the given tool, and resolves with the tool's input. Adds
+// the response's token usage to claudeUsage. Throws an error with code
+// CLAUDE_BUDGET_EXCEEDED instead of calling once the spending cap is reached.
+async function callClaude({ prompt, system, tool, maxTokens }) {
+  if (!ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY is not set');
+  }
+  if (claudeBudgetReached()) {
+    const error = new Error(`Claude spending cap of ${formatCost(CLAUDE_MAX_RUN_COST_USD)} reached`);
+    error.code = 'CLAUDE_BUDGET_EXCEEDED';
+    throw error;
+  }
+
+  const options = {
+    hostname: 'api.anthropic.com',
+    path: '/v1/messages',
+    method: 'POST',
+    headers: {
+      'x-api-key': ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'content-type': 'application/json'
+    }
+  };
+
+  const body = {
+    model: CLAUDE_MODEL,
+    max_tokens: maxTokens,
+    ...(system ? { system } : {}),
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name },
+    messages: [{ role: 'user', content: prompt }]
+  };
+
+  const response = await httpsRequest(options, body);
+
+  const usage = response?.usage || {};
+  const price = claudePrice(CLAUDE_MODEL);
+  claudeUsage.calls++;
+  claudeUsage.inputTokens += usage.input_tokens || 0;
+  claudeUsage.outputTokens += usage.output_tokens || 0;
+  claudeUsage.costUsd += ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1e6;
+
+  const toolUse = (response?.content || []).find(block => block.type === 'tool_use' && block.name === tool.name);
+  if (!toolUse) {
+    throw new Error(`Claude didn't answer with ${tool.name}`);
+  }
+  return toolUse.input;
+}
+
+// Errors fall back to a default answer, except the spending cap, which
+// has to reach the main loop so it can stop
+function rethrowBudgetError(error) {
+  if (error.code === 'CLAUDE_BUDGET_EXCEEDED') {
+    throw error;
+  }
+}
+
+const PICK_TOOL = {
+  name: 'choose_description',
+  description: 'Report which description is the best one for the book.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Number of the best description, starting at 1' },
+      confidence: { type: 'number', description: 'How sure you are, from 0 to 1, that it describes this book' },
+      reason: { type: 'string', description: 'One sentence on why it was chosen' }
+    },
+    required: ['index', 'confidence', 'reason']
+  }
+};
+
+const CLEAN_TOOL = {
+  name: 'return_cleaned_description',
+  description: 'Return the cleaned book description.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      description: { type: 'string', description: 'The cleaned description text' }
+    },
+    required: ['description']
+  }
+};
+
+const TRANSLATE_TOOL = {
+  name: 'return_translated_description',
+  description: 'Return the translated book description.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      description: { type: 'string', description: 'The translated description, with the same <i> and <b> tags and paragraphs' }
+    },
+    required: ['description']
+  }
+};
+
+const COMPARE_TOOL = {
+  name: 'compare_descriptions',
+  description: 'Report whether the new description is clearly better than the current one.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      better: { type: 'string', enum: ['new', 'current'] },
+      reason: { type: 'string', description: 'One sentence on why' }
+    },
+    required: ['better', 'reason']
+  }
+};
+
+// Resolves with { index (0-based), confidence, reason }. Falls back to the
+// first description if Claude can't be asked or gives an unusable answer.
+async function askClaudeToPickBestDescription(title, author, descriptions, language = DESCRIPTION_LANGUAGE) {
+  const prompt = `I have multiple descriptions for the book "${title}" by ${author || 'Unknown'}. Pick the one that is the BEST and most complete actual book description/blurb.
+
+Prefer descriptions that:
+- Actually describe what the book is about (plot, themes, premise)
+- Are substantive (not just one sentence)
+- Read like a back-of-book blurb
+- Are written in ${languageName(language)}
+
+Avoid descriptions that are mostly:
+- Press quotes or review excerpts
+- Lists of awards
+- Author biographical information
+
+${descriptions.map((d, i) => `--- Description ${i + 1} (${d.source}${d.language ? `, ${languageName(d.language)}` : ''}) ---\n${d.description}`).join('\n\n')}
+
+Answer with the choose_description tool: the number of the best description, how confident you are (0-1) that it's a real description of this book, and a one-sentence reason.`;
+
+  // Same model, book and input text give the same answer
+  const cacheKey = `${CLAUDE_MODEL}|${language}|${cacheKeyPart(title)}|${cacheKeyPart(author)}|${cacheHash(descriptions.map(d => d.description).join('\n---\n'))}`;
+  const fallback = { index: 0, confidence: null, reason: 'default to the first description' };
+
+  try {
+    return await withCache('claude-pick', cacheKey, async () => {
+      const answer = await callClaude({ prompt, tool: PICK_TOOL, maxTokens: 300 });
+      const number = parseInt(answer.index, 10);
+
+      if (!(number >= 1 && number <= descriptions.length)) {
+        console.log(`  ! Claude picked description ${answer.index}, which doesn't exist`);
+        return fallback;
+      }
+
+      const confidence = Number(answer.confidence);
+      return {
+        index: number - 1,
+        confidence: Number.isNaN(confidence) ? null : Math.min(Math.max(confidence, 0), 1),
+        reason: String(answer.reason || '')
+      };
+    });
+  } catch (error) {
+    rethrowBudgetError(error);
+    console.log('  X Claude pick error:', error.message);
+    return fallback;
+  }
+}
+
+async function askClaudeToCleanDescription(title, author, rawDescription) {
+  const prompt = `Clean this book description for "${title}" by ${author || 'Unknown'}.
+
+REMOVE all of the following:
+- Press/review quotes (e.g., "'A masterpiece' - New York Times", "'Brilliant!' - Stephen King")
+- Bestseller/award mentions (e.g., "A #1 New York Times Bestseller", "Winner of the Pulitzer Prize")
+- Author endorsement quotes from other authors
+- "Now a major motion picture" or similar promotional lines
+- Phrases like "From the author of [other book]..." at the very start (but keep if it's mid-description context)
+- Marketing superlatives not part of the actual blurb ("The must-read book of the year!")
+
+KEEP:
+- The actual book description/blurb text that describes what the book is about
+- Plot summary, character introductions, thematic descriptions
+- Any "about the book" content that tells the reader what to expect
+
+RULES:
+- Return the cleaned description with the return_cleaned_description tool, and nothing else
+- Do NOT add any commentary, headers, or labels to the description
+- Do NOT rewrite or paraphrase -- preserve the original wording of the kept parts
+- If after removing everything there is very little left, return what you can -- even a single descriptive sentence is fine
+- If the ENTIRE description is quotes/accolades with zero actual blurb, return the original text as-is (something is better than nothing)
+- Keep the <i> and <b> tags around the parts you keep (they mark book titles and emphasis), and keep the blank lines between paragraphs
+
+Raw description:
+${rawDescription}`;
+
+  const system = 'You are a text processing tool. Return only the processed description, without introductions, labels, headers, or commentary.';
+
+  // Same model, book and input text give the same answer
+  const cacheKey = `${CLAUDE_MODEL}|${cacheKeyPart(title)}|${cacheKeyPart(author)}|${cacheHash(rawDescription)}`;
+
+  try {
+    return await withCache('claude-clean', cacheKey, async () => {
+      const answer = await callClaude({ prompt, system, tool: CLEAN_TOOL, maxTokens: 4096 });
+      const cleaned = String(answer.description || '').trim();
+
+      // Safety fallback: if Claude returned something very short but original was substantial
+      if (cleaned.length < 20 && rawDescription.length > 200) {
+        console.log('  ! Claude returned very short result, using original');
+        return rawDescription;
+      }
+
+      // Drop any tags other than <i> and <b> as a safety net
+      return sanitizeFormattedText(cleaned);
+    });
+  } catch (error) {
+    rethrowBudgetError(error);
+    console.log('  X Claude clean error:', error.message);
+    return rawDescription;
+  }
+}
+
+// Translates a cleaned description into the target language, keeping its
+// formatting. Resolves with null when Claude can't be asked or gives an
+// unusable answer, so the untranslated text is used instead.
+async function askClaudeToTranslateDescription(title, author, description, fromLanguage, toLanguage) {
+  const prompt = `Translate this ${languageName(fromLanguage)} description of the book "${title}" by ${author || 'Unknown'} into ${languageName(toLanguage)}.
+
+RULES:
+- Return the translation with the return_translated_description tool, and nothing else
+- Translate faithfully -- don't add, drop or summarise anything
+- Use the book's published ${languageName(toLanguage)} title and names if you know them, otherwise keep the original ones
+- Keep the <i> and <b> tags around the same words, and keep the blank lines between paragraphs
+
+Description:
+${description}`;
+
+  const cacheKey = `${CLAUDE_MODEL}|${fromLanguage}|${toLanguage}|${cacheKeyPart(title)}|${cacheKeyPart(author)}|${cacheHash(description)}`;
+
+  try {
+    return await withCache('claude-translate', cacheKey, async () => {
+      const answer = await callClaude({ prompt, tool: TRANSLATE_TOOL, maxTokens: 4096 });
+      const translated = sanitizeFormattedText(String(answer.description || '').trim());
+
+      if (translated.length < 20 && description.length > 200) {
+        console.log('  ! Claude returned a very short translation, keeping the original');
+        return null;
+      }
+      return translated;
+    });
+  } catch (error) {
+    rethrowBudgetError(error);
+    console.log('  X Claude translate error:', error.message);
+    return null;
+  }
+}
+
+// Refresh mode: asks whether a newly found description is clearly better
+// than the one already on the page. Anything but a clear yes keeps the old one.
+async function askClaudeToCompareDescriptions(title, author, currentDescription, newDescription) {
+  const prompt = `A book database has a description for "${title}" by ${author || 'Unknown'}. I found a new one. Is the NEW description clearly better?
+
+A better description:
+- Actually describes what the book is about (plot, themes, premise)
+- Is substantive rather than a single line
+- Has no press quotes, bestseller or award mentions, or other marketing copy
+- Is about this book, not a different edition, a study guide or a summary
+
+--- CURRENT description ---
+${currentDescription}
+
+--- NEW description ---
+${newDescription}
+
+Answer with the compare_descriptions tool: "new" only if the new description is clearly better, otherwise "current", and a one-sentence reason.`;
+
+  try {
+    const answer = await callClaude({ prompt, tool: COMPARE_TOOL, maxTokens: 300 });
+    console.log(`  Claude prefers the ${answer.better === 'new' ? 'new' : 'current'} description: ${answer.reason}`);
+    return answer.better === 'new';
+  } catch (error) {
+    rethrowBudgetError(error);
+    console.log('  X Claude compare error:', error.message);
+    return false;
+  }
+}
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+// Slack rejects sections over 3,000 characters and messages over 50 blocks
+const SLACK_SECTION_LIMIT = 2900;
+const SLACK_MAX_BLOCKS = 45;
+// Longer lists are cut short in Slack and email; the webhook gets everything
+const MAX_LISTED_BOOKS = 40;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// "No confident match (3 candidates below 0.65)" and "(1 candidate ...)"
+// are the same reason
+function failureReasonGroup(reason) {
+  return String(reason || 'Unknown').replace(/\s*\([^)]*\)\s*$/, '');
+}
+
+function countBy(items, keyFn) {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+// Collects everything a notifier might report about a run, in one plain
+// object (which is also what the JSON webhook sends)
+function buildRunSummary(report, runTime) {
+  const { successBooks, failedBooks, givenUpBooks, appliedBooks, rejectedBooks, refreshedBooks } = report;
+
+  const bySource = countBy(successBooks, book => book.source).map(([source, count]) => {
+    const books = successBooks.filter(book => book.source === source);
+    const averageMatch = books.reduce((sum, book) => sum + book.matchScore, 0) / books.length;
+    return { source, count, averageMatch: Math.round(averageMatch * 100) / 100 };
+  });
+  const failureReasons = countBy([...failedBooks, ...givenUpBooks], book => failureReasonGroup(book.reason))
+    .map(([reason, count]) => ({ reason, count }));
+
+  return {
+    runId: RUN_ID,
+    time: runTime.toISOString(),
+    timeLabel: new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/Los_Angeles',
+      dateStyle: 'full',
+      timeStyle: 'short'
+    }).format(runTime),
+    mode: {
+      review: REVIEW_MODE,
+      applyApproved: APPLY_APPROVED,
+      backlog: BACKLOG_MODE,
+      refresh: REFRESH_MODE
+    },
+    // Only worth saying which database a book is in when there's more than one
+    showDatabase: report.databaseCount > 1,
+    counts: {
+      added: successBooks.length,
+      refreshed: refreshedBooks.length,
+      applied: appliedBooks.length,
+      rejected: rejectedBooks.length,
+      skipped: failedBooks.length,
+      givenUp: givenUpBooks.length
+    },
+    bySource,
+    failureReasons,
+    books: {
+      added: successBooks,
+      refreshed: refreshedBooks,
+      applied: appliedBooks,
+      rejected: rejectedBooks,
+      skipped: failedBooks,
+      givenUp: givenUpBooks
+    },
+    claude: { ...claudeUsage, model: CLAUDE_MODEL, summary: claudeUsageSummary() },
+    budgetReached: Boolean(report.budgetReached),
+    logsUrl: process.env.GITHUB_RUN_ID
+      ? `https://github.com/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`
+      : null
+  };
+}
+
+// One line of counts, e.g. "3 descriptions added, 1 book skipped"
+function summaryHeadline(summary) {
+  const { counts } = summary;
+  const parts = [
+    counts.added > 0 && `${plural(counts.added, 'description')} ${REVIEW_MODE ? 'proposed' : 'added'}`,
+    counts.refreshed > 0 && `${counts.refreshed} replaced`,
+    counts.applied > 0 && `${counts.applied} applied`,
+    counts.rejected > 0 && `${counts.rejected} rejected cleared`,
+    counts.skipped > 0 && `${plural(counts.skipped, 'book')} skipped`,
+    counts.givenUp > 0 && `${counts.givenUp} given up`
+  ].filter(Boolean);
+
+  if (parts.length === 0) {
+    return APPLY_APPROVED ? 'No reviewed proposals to apply' : 'No books needed descriptions';
+  }
+  return parts.join(', ');
+}
+
+// The lines for each book list, in any markup: link(text, url) renders a
+// link and em(text) a side note
+function reportSections(summary, { link, em }) {
+  const bookLink = book => `${link(book.title, book.url)}${book.author ? ` by ${book.author}` : ''}${summary.showDatabase ? ` [${book.database}]` : ''}`;
+  const sourceLink = book => book.sourceUrl ? link(book.source, book.sourceUrl) : book.source;
+  const { books } = summary;
+
+  return [
+    {
+      title: `${plural(books.added.length, 'description')} ${REVIEW_MODE ? 'proposed for review' : 'added'}`,
+      lines: books.added.map(book => {
+        const filled = book.filledFields?.length > 0 ? ` — filled ${book.filledFields.join(', ')}` : '';
+        const translated = book.translatedFrom ? `, translated from ${languageName(book.translatedFrom)}` : '';
+        return `${bookLink(book)} ${em(`(${sourceLink(book)}, ${STRATEGY_LABELS[book.strategy]}, match ${book.matchScore.toFixed(2)}${translated})`)}${filled}`;
+      })
+    },
+    {
+      title: `${plural(books.refreshed.length, 'weak description')} ${REVIEW_MODE ? 'with a replacement proposed' : 'replaced'}`,
+      lines: books.refreshed.map(book => `${bookLink(book)} ${em(`(${sourceLink(book)})`)}\n  ${em(`Was: ${book.problems.join('; ')}`)}`)
+    },
+    {
+      title: `${plural(books.applied.length, 'approved description')} applied`,
+      lines: books.applied.map(bookLink)
+    },
+    {
+      title: `${plural(books.rejected.length, 'rejected proposal')} cleared`,
+      lines: books.rejected.map(bookLink)
+    },
+    {
+      title: `${plural(books.skipped.length, 'book')} skipped`,
+      failures: true,
+      lines: books.skipped.map(book => {
+        const attempts = book.attempts ? ` (attempt ${book.attempts} of ${MAX_FAILED_ATTEMPTS})` : '';
+        return `${bookLink(book)}\n  ${em(`Reason: ${book.reason}${attempts}`)}`;
+      })
+    },
+    {
+      title: `${plural(books.givenUp.length, 'book')} given up`,
+      failures: true,
+      lines: books.givenUp.map(book => `${bookLink(book)}\n  ${em(`Reason: ${book.reason} (${book.attempts} failed attempts)`)}`)
+    }
+  ].filter(section => section.lines.length > 0);
+}
+
+function limitLines(lines, more) {
+  if (lines.length <= MAX_LISTED_BOOKS) return lines;
+  return [...lines.slice(0, MAX_LISTED_BOOKS), more(lines.length - MAX_LISTED_BOOKS)];
+}
+
+// Splits lines into chunks of at most limit characters
+function chunkLines(lines, limit) {
+  const chunks = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += `${current ? '\n' : ''}${line.slice(0, limit)}`;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Slack: a Block Kit message with the counts, a breakdown by source and the
+// book lists. Skipped and given-up books go in an attachment, which Slack
+// shows collapsed when it's long.
+function buildSlackMessage(summary) {
+  const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const sections = reportSections(summary, {
+    link: (text, url) => `<${url}|${escape(text)}>`,
+    em: text => `_${text}_`
+  });
+  const mrkdwn = text => ({ type: 'mrkdwn', text });
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: 'Book Description Automation Report' } },
+    { type: 'context', elements: [mrkdwn(`${summary.timeLabel} · run ${summary.runId}`)] },
+    { type: 'section', text: mrkdwn(`*${summaryHeadline(summary)}*`) }
+  ];
+
+  if (summary.bySource.length > 0) {
+    const lines = summary.bySource.map(entry => `• ${entry.source}: ${entry.count} (average match ${entry.averageMatch.toFixed(2)})`);
+    blocks.push({ type: 'section', text: mrkdwn(`*By source*\n${lines.join('\n')}`) });
+  }
+
+  const listBlocks = [];
+  for (const section of sections.filter(section => !section.failures)) {
+    const lines = limitLines(section.lines.map(line => `• ${line}`), count => `_…and ${count} more, see the logs_`);
+    chunkLines([`*${section.title}:*`, ...lines], SLACK_SECTION_LIMIT)
+      .forEach(text => listBlocks.push({ type: 'section', text: mrkdwn(text) }));
+  }
+  const room = SLACK_MAX_BLOCKS - blocks.length - 2;
+  blocks.push(...listBlocks.slice(0, room));
+  if (listBlocks.length > room) {
+    blocks.push({ type: 'context', elements: [mrkdwn('_Some books were left out to fit Slack\'s limits, see the logs_')] });
+  }
+
+  const footer = [];
+  if (summary.claude.calls > 0) footer.push(`Claude: ${summary.claude.summary}`);
+  if (summary.budgetReached) footer.push(`*Stopped early: Claude spending cap of ${formatCost(CLAUDE_MAX_RUN_COST_USD)} reached*`);
+  if (summary.logsUrl) footer.push(`<${summary.logsUrl}|View full logs on GitHub>`);
+  if (footer.length > 0) {
+    blocks.push({ type: 'context', elements: [mrkdwn(footer.join(' · '))] });
+  }
+
+  const attachments = [];
+  const failureSections = sections.filter(section => section.failures);
+  if (failureSections.length > 0) {
+    const reasons = summary.failureReasons.map(entry => `• ${entry.reason}: ${entry.count}`);
+    const detail = failureSections.flatMap(section => [
+      '',
+      `*${section.title}:*`,
+      ...limitLines(section.lines.map(line => `• ${line}`), count => `_…and ${count} more, see the logs_`)
+    ]);
+    attachments.push({
+      color: '#d9a400',
+      fallback: reasons.join('\n'),
+      text: ['*Why books were skipped*', ...reasons, ...detail].join('\n'),
+      mrkdwn_in: ['text']
+    });
+  }
+
+  return {
+    text: `Book descriptions: ${summaryHeadline(summary)}`,
+    blocks,
+    ...(attachments.length > 0 ? { attachments } : {})
+  };
+}
+
+// Plain text version of the report, for email
+function buildTextReport(summary) {
+  const sections = reportSections(summary, {
+    link: (text, url) => `${text} <${url}>`,
+    em: text => text
+  });
+
+  const lines = ['Book Description Automation Report', summary.timeLabel, '', summaryHeadline(summary)];
+  if (summary.bySource.length > 0) {
+    lines.push('', 'By source:');
+    summary.bySource.forEach(entry => lines.push(`- ${entry.source}: ${entry.count} (average match ${entry.averageMatch.toFixed(2)})`));
+  }
+  if (summary.failureReasons.length > 0) {
+    lines.push('', 'Why books were skipped:');
+    summary.failureReasons.forEach(entry => lines.push(`- ${entry.reason}: ${entry.count}`));
+  }
+  for (const section of sections) {
+    lines.push('', `${section.title}:`);
+    limitLines(section.lines.map(line => `- ${line}`), count => `...and ${count} more, see the logs`)
+      .forEach(line => lines.push(line));
+  }
+
+  lines.push('');
+  if (summary.claude.calls > 0) lines.push(`Claude: ${summary.claude.summary}`);
+  if (summary.budgetReached) lines.push(`Stopped early: Claude spending cap of ${formatCost(CLAUDE_MAX_RUN_COST_USD)} reached`);
+  if (summary.logsUrl) lines.push(`Full logs: ${summary.logsUrl}`);
+  lines.push(`Run ${summary.runId}`);
+  return lines.join('\n');
+}
+
+async function sendSlackReport(summary, settings) {
+  const response = await httpsRequest({
+    ...urlRequestOptions(settings.webhookUrl),
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }, buildSlackMessage(summary));
+  if (response !== 'ok') {
+    console.log('Slack response:', JSON.stringify(response));
+  }
+}
+
+async function sendWebhookReport(summary, settings) {
+  await httpsRequest({
+    ...urlRequestOptions(settings.url),
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...settings.headers }
+  }, { event: 'book-descriptions.run', ...summary });
+}
+
+async function sendEmailReport(summary, settings) {
+  await sendSmtpMail(settings, {
+    subject: `${settings.subjectPrefix}${summaryHeadline(summary)}`,
+    text: buildTextReport(summary)
+  });
+}
+
+// The bare address from "Name <address>" or "address"
+function emailAddress(mailbox) {
+  return (String(mailbox).match(/<([^>]+)>/)?.[1] || String(mailbox)).trim();
+}
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildEmailMessage(settings, { subject, text }) {
+  const domain = emailAddress(settings.from).split('@')[1] || os.hostname();
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${settings.from}`,
+    `To: ${settings.to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Reads SMTP replies from a socket. next() resolves with the next complete
+// reply as { code, text }, joining the lines of multi-line replies.
+function createSmtpReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), text: lines.map(part => part.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = error => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(failure || new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    // Stops reading, before the socket is handed over to TLS
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connectSocket(connect, readyEvent, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = connect();
+    socket.setTimeout(timeout, () => {
+      socket.destroy(new Error(`SMTP connection timed out after ${timeout}ms`));
+    });
+    socket.once(readyEvent, () => {
+      socket.off('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+// A minimal SMTP client, so email needs no dependencies: implicit TLS
+// (secure, usually port 465) or STARTTLS when the server offers it, AUTH
+// PLAIN or LOGIN, and one plain-text message. Rejects with the server's
+// reply when a command isn't accepted. Credentials are only sent over TLS,
+// unless allowInsecureAuth is set (e.g. for a local test server).
+async function sendSmtpMail(settings, message) {
+  const { host, port, secure, username, password, from, to } = settings;
+  const timeout = settings.timeoutMs || REQUEST_TIMEOUT_MS;
+  const clientName = os.hostname() || 'localhost';
+
+  let socket = await connectSocket(
+    () => secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port }),
+    secure ? 'secureConnect' : 'connect',
+    timeout
+  );
+  let reader = createSmtpReader(socket);
+
+  const expect = async (codes) => {
+    const reply = await reader.next();
+    if (![].concat(codes).includes(reply.code)) {
+      throw new Error(`SMTP server replied ${reply.code}: ${reply.text.split('\n')[0]}`);
+    }
+    return reply;
+  };
+  const command = async (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return await expect(codes);
+  };
+
+  let encrypted = Boolean(secure);
+
+  try {
+    await expect(220);
+    let capabilities = await command(`EHLO ${clientName}`, 250);
+
+    if (!secure && settings.starttls !== false && /^STARTTLS\b/im.test(capabilities.text)) {
+      await command('STARTTLS', 220);
+      reader.detach();
+      const plainSocket = socket;
+      socket = await connectSocket(() => tls.connect({ socket: plainSocket, servername: host }), 'secureConnect', timeout);
+      reader = createSmtpReader(socket);
+      encrypted = true;
+      capabilities = await command(`EHLO ${clientName}`, 250);
+    }
+
+    if (username && !encrypted && !settings.allowInsecureAuth) {
+      throw new Error(`SMTP server ${host} didn't offer STARTTLS, refusing to send the password unencrypted (set "allowInsecureAuth": true to allow it)`);
+    }
+    if (username) {
+      if (/^AUTH\b.*\bPLAIN\b/im.test(capabilities.text)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password || ''}`).toString('base64')}`, 235);
+      } else {
+        await command('AUTH LOGIN', 334);
+        await command(Buffer.from(username).toString('base64'), 334);
+        await command(Buffer.from(password || '').toString('base64'), 235);
+      }
+    }
+
+    await command(`MAIL FROM:<${emailAddress(from)}>`, 250);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${emailAddress(recipient)}>`, [250, 251]);
+    }
+    await command('DATA', 354);
+    // A line starting with "." would end the message early, so it's doubled
+    await command(`${buildEmailMessage(settings, message).replace(/^\./gm, '..')}\r\n.`, 250);
+    await command('QUIT', 221).catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+// Reads a setting from the notifier's config, where secrets can be given
+// as the name of an environment variable ("passwordEnv"), falling back to
+// an environment variable of the script's own
+function notifierSetting(config, key, envName) {
+  if (config[key] !== undefined) return config[key];
+  if (config[`${key}Env`]) return process.env[config[`${key}Env`]];
+  return envName ? process.env[envName] : undefined;
+}
+
+// Every notification channel is a notifier:
+//   name      id used in the config file's "notifiers" section
+//   settings  (config) => what it needs to send, or null when it isn't set up
+//   send      (summary, settings) => resolves once delivered, throws if not
+// A notifier with settings sends after every run unless its config says
+// "enabled": false. A new channel only needs an entry here.
+const NOTIFIERS = [
+  {
+    name: 'slack',
+    settings: (config) => {
+      const webhookUrl = notifierSetting(config, 'webhookUrl', 'SLACK_WEBHOOK_URL');
+      return webhookUrl ? { webhookUrl } : null;
+    },
+    send: sendSlackReport
+  },
+  {
+    // Posts the whole run summary as JSON, for other tools to pick up
+    name: 'webhook',
+    settings: (config) => {
+      const url = notifierSetting(config, 'url', 'NOTIFY_WEBHOOK_URL');
+      return url ? { url, headers: config.headers || {} } : null;
+    },
+    send: sendWebhookReport
+  },
+  {
+    name: 'email',
+    settings: (config) => {
+      const host = notifierSetting(config, 'host', 'SMTP_HOST');
+      const to = notifierSetting(config, 'to', 'EMAIL_TO');
+      if (!host || !to) return null;
+
+      const secure = String(notifierSetting(config, 'secure', 'SMTP_SECURE')) === 'true';
+      const username = notifierSetting(config, 'username', 'SMTP_USERNAME');
+      return {
+        host,
+        port: parseInt(notifierSetting(config, 'port', 'SMTP_PORT') || (secure ? 465 : 587), 10),
+        secure,
+        starttls: config.starttls,
+        allowInsecureAuth: config.allowInsecureAuth === true,
+        username,
+        password: notifierSetting(config, 'password', 'SMTP_PASSWORD'),
+        from: notifierSetting(config, 'from', 'EMAIL_FROM') || username || `book-descriptions@${os.hostname()}`,
+        to: Array.isArray(to) ? to : String(to).split(',').map(address => address.trim()).filter(Boolean),
+        subjectPrefix: config.subjectPrefix ?? 'Book descriptions: ',
+        timeoutMs: config.timeoutMs
+      };
+    },
+    send: sendEmailReport
+  }
+];
+
+// Applies the config file's "notifiers" section and returns the notifiers
+// that are set up, each with its settings
+function getNotifiers() {
+  const configs = readConfigFile()?.notifiers || {};
+  const unknown = Object.keys(configs).filter(name => !NOTIFIERS.some(notifier => notifier.name === name));
+  if (unknown.length > 0) {
+    console.log(`! Config file has unknown notifiers: ${unknown.join(', ')}`);
+  }
+
+  return NOTIFIERS
+    .filter(notifier => configs[notifier.name]?.enabled !== false)
+    .map(notifier => ({ ...notifier, settings: notifier.settings(configs[notifier.name] || {}) }))
+    .filter(notifier => notifier.settings);
+}
+
+// Sends the run report through every notifier that's set up. A notifier
+// that fails is logged and doesn't stop the others.
+async function sendNotifications(report, runTime) {
+  let notifiers;
+  try {
+    notifiers = getNotifiers();
+  } catch (error) {
+    console.log('Failed to read notifier settings:', error.message);
+    return;
+  }
+
+  if (notifiers.length === 0) {
+    console.log('\nNo notifiers configured, skipping notifications');
+    return;
+  }
+
+  const summary = buildRunSummary(report, runTime);
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(summary, notifier.settings);
+      console.log(`Sent ${notifier.name} notification`);
+    } catch (error) {
+      console.log(`Failed to send ${notifier.name} notification:`, error.message);
+    }
+  }
+}
+
+// ============================================
+// DESCRIPTION PIPELINE
+// ============================================
+
+// Combines metadata from the matched candidates, taking each field from the
+// selected candidate first and filling gaps from the other matches
+function mergeMetadata(candidates) {
+  const metadata = {};
+
+  for (const candidate of candidates) {
+    for (const [field, value] of Object.entries(candidate.metadata || {})) {
+      const missing = metadata[field] === undefined || metadata[field] === null ||
+        (Array.isArray(metadata[field]) && metadata[field].length === 0);
+      if (missing && value !== null && value !== undefined) {
+        metadata[field] = value;
+      }
+    }
+  }
+  return metadata;
+}
+
+// Tries each search query on the providers in turn until one finds
+// confident matches, and resolves with them and the query that found them
+async function searchWithQueries(providers, queries, title, author, result) {
+  for (const query of queries) {
+    console.log(`  Searching for "${query.title}"${query.author ? ` by ${query.author}` : ''} (${query.label})...`);
+    const candidates = await searchProviders(providers, 'searchByText', [query.title, query.author], result);
+    result.candidates.push(...candidates);
+
+    const matches = filterConfidentMatches(title, author, candidates);
+    if (matches.length > 0) {
+      return { matches, query };
+    }
+  }
+  return { matches: [], query: null };
+}
+
+// Runs the search, match, pick and clean steps for one book, without
+// touching Notion. Resolves with every candidate found (each with its
+// matchScore), the selected one (with Claude's pick confidence and reason
+// when there was a choice), the cleaned description as formatted
+// text, what the rule-based cleaner removed from it, the language it was
+// translated from (if it was) and the metadata of the matched records, or
+// with a failureReason when nothing usable was found (and sourcesUnavailable
+// set when that's because every search errored). Candidates are tagged
+// with their detected language, and ones in the target language are
+// preferred.
+async function findBookDescription({ title, author = '', isbn = '', language = DESCRIPTION_LANGUAGE, translate = TRANSLATE_DESCRIPTIONS }) {
+  const result = {
+    title,
+    author,
+    isbn: normalizeIsbn(isbn),
+    language,
+    candidates: [],
+    selected: null,
+    pick: null,
+    description: null,
+    metadata: {},
+    removed: [],
+    translatedFrom: null,
+    query: null,
+    searchCount: 0,
+    sourceErrors: [],
+    sourcesUnavailable: false,
+    failureReason: null
+  };
+
+  const providers = getProviders();
+  const primaryProviders = providers.filter(provider => !provider.fallbackOnly);
+  const fallbackProviders = providers.filter(provider => provider.fallbackOnly);
+  const queries = buildSearchQueries(title, author);
+  let allResults = [];
+
+  // Matches are scored against the real authors, without translators and editors
+  const authors = parseAuthors(author);
+  const matchAuthor = authors.length > 0 ? authors.join('; ') : author;
+
+  // Exact identifier lookups first, so common titles can't match the wrong book
+  if (result.isbn) {
+    console.log('  Looking up by ISBN...');
+    const candidates = await searchProviders(primaryProviders, 'searchByIsbn', [result.isbn], result);
+    result.candidates.push(...candidates);
+    allResults = filterConfidentMatches(title, matchAuthor, candidates);
+
+    if (allResults.length === 0) {
+      console.log('  No ISBN matches, falling back to title/author search');
+    }
+  }
+
+  if (allResults.length === 0) {
+    ({ matches: allResults, query: result.query } = await searchWithQueries(primaryProviders, queries, title, matchAuthor, result));
+  }
+
+  // Last resort providers, by ISBN and then by title/author
+  if (allResults.length === 0 && fallbackProviders.length > 0) {
+    console.log(`  No confident matches, trying ${fallbackProviders.map(provider => provider.name).join(', ')}...`);
+    if (result.isbn) {
+      const candidates = await searchProviders(fallbackProviders, 'searchByIsbn', [result.isbn], result);
+      result.candidates.push(...candidates);
+      allResults = filterConfidentMatches(title, matchAuthor, candidates);
+    }
+    if (allResults.length === 0) {
+      ({ matches: allResults, query: result.query } = await searchWithQueries(fallbackProviders, queries, title, matchAuthor, result));
+    }
+  }
+
+  if (allResults.length === 0) {
+    const droppedCount = result.candidates.length;
+    if (result.searchCount > 0 && result.sourceErrors.length === result.searchCount) {
+      // An outage says nothing about the book, so it shouldn't count against it
+      const sources = [...new Set(result.sourceErrors.map(error => error.provider))];
+      console.log('  X Every source search failed - skipping');
+      result.sourcesUnavailable = true;
+      result.failureReason = `Sources unavailable (${sources.join(', ')})`;
+    } else if (droppedCount > 0) {
+      console.log(`  X ${droppedCount} description(s) found but none matched confidently - skipping`);
+      result.failureReason = `No confident match (${droppedCount} candidate${droppedCount === 1 ? '' : 's'} below ${MATCH_THRESHOLD})`;
+    } else {
+      console.log('  X No descriptions found - skipping');
+      result.failureReason = 'No descriptions found';
+    }
+    return result;
+  }
+
+  console.log(`  Found ${allResults.length} description(s) by ${STRATEGY_LABELS[allResults[0].strategy]}`);
+
+  // Prefer descriptions in the target language; ones whose language
+  // couldn't be told are kept
+  result.candidates.forEach(candidate => {
+    candidate.language = detectLanguage(candidate.description);
+  });
+  const inLanguage = allResults.filter(candidate => !candidate.language || candidate.language === language);
+  if (inLanguage.length > 0 && inLanguage.length < allResults.length) {
+    console.log(`  Dropping ${allResults.length - inLanguage.length} description(s) not in ${languageName(language)}`);
+    allResults = inLanguage;
+  }
+
+  // Pick the best description
+  if (allResults.length === 1) {
+    console.log('  Using the only description found');
+    result.selected = allResults[0];
+  } else if (!ANTHROPIC_API_KEY) {
+    console.log('  No ANTHROPIC_API_KEY, using the first description found');
+    result.selected = allResults[0];
+  } else {
+    console.log('  Asking Claude to pick best description...');
+    const pick = await askClaudeToPickBestDescription(title, author, allResults, language);
+    result.selected = allResults[pick.index];
+    result.pick = pick;
+    const confidence = pick.confidence === null ? '' : `, confidence ${pick.confidence.toFixed(2)}`;
+    console.log(`  Selected description #${pick.index + 1} from ${result.selected.source} (match ${result.selected.matchScore.toFixed(2)}${confidence}): ${pick.reason}`);
+  }
+
+  result.metadata = mergeMetadata([result.selected, ...allResults.filter(c => c !== result.selected)]);
+
+  // Strip the obvious promotion locally first, so Claude sees less text and
+  // there's still a clean description without it
+  const cleaned = cleanPromotionalText(result.selected.description);
+  result.removed = cleaned.removed;
+  if (cleaned.removed.length > 0) {
+    console.log(`  Removed ${cleaned.removed.length} promotional line(s)/sentence(s)`);
+    if (DEBUG_CLEANING) {
+      cleaned.removed.forEach(item => console.log(`    - ${item.rule}: ${item.text}`));
+    }
+  }
+
+  if (ANTHROPIC_API_KEY) {
+    console.log('  Cleaning description with Claude...');
+    result.description = await askClaudeToCleanDescription(title, author, cleaned.text);
+  } else {
+    result.description = cleaned.text;
+  }
+
+  const fromLanguage = result.selected.language;
+  if (fromLanguage && fromLanguage !== language) {
+    if (translate && ANTHROPIC_API_KEY) {
+      console.log(`  Translating description from ${languageName(fromLanguage)} with Claude...`);
+      const translated = await askClaudeToTranslateDescription(title, author, result.description, fromLanguage, language);
+      if (translated) {
+        result.description = `${translated}\n\n<i>${escapeHtml(translationNote(fromLanguage, language))}</i>`;
+        result.translatedFrom = fromLanguage;
+      }
+    } else {
+      console.log(`  ! No description in ${languageName(language)} found, using the ${languageName(fromLanguage)} one`);
+    }
+  }
+
+  return result;
+}
+
+// ============================================
+// MAIN PROCESSING
+// ============================================
+
+function getBookInfo(db, page) {
+  const properties = page.properties;
+  const titleName = db.properties.title.find(name => properties[name]);
+
+  return {
+    title: readPropertyText(properties[titleName]) || 'Unknown',
+    author: readPropertyText(properties[db.properties.author]),
+    isbn: normalizeIsbn(readPropertyText(properties[db.properties.isbn])),
+    url: `https://notion.so/${page.id.replace(/-/g, '')}`,
+    database: db.name
+  };
+}
+
+// Review mode's confidence for a proposal: Claude's pick confidence when it
+// chose between descriptions, otherwise the match score
+function proposalConfidence(result) {
+  return result.pick?.confidence ?? result.selected.matchScore;
+}
+
+// Returns null on success, or the reason the book was skipped. Throws an
+// error with code SOURCES_UNAVAILABLE when every source search failed.
+async function processBook(db, page, report) {
+  const { title, author, isbn, url: pageUrl, database } = getBookInfo(db, page);
+
+  console.log(`\nProcessing: ${title}${author ? ` by ${author}` : ''}${isbn ? ` (ISBN ${isbn})` : ''}`);
+
+  const result = await findBookDescription({ title, author, isbn, language: db.language, translate: db.translate });
+  if (result.sourcesUnavailable) {
+    const error = new Error(result.failureReason);
+    error.code = 'SOURCES_UNAVAILABLE';
+    throw error;
+  }
+  if (result.failureReason) {
+    return result.failureReason;
+  }
+
+  const { selected, description: cleanedDescription } = result;
+
+  const descriptionLength = formattedTextToPlainText(cleanedDescription).length;
+  if (DESCRIPTION_IN_PAGE_BODY && descriptionLength > SHORT_DESCRIPTION_LENGTH) {
+    console.log(`  Description is ${descriptionLength} chars, writing it to the page body with a short version in the property`);
+  } else if (descriptionLength > MAX_DESCRIPTION_LENGTH) {
+    console.log(`  Description is ${descriptionLength} chars, it will be split across several text segments`);
+  }
+
+  const audit = {
+    db,
+    page,
+    action: REVIEW_MODE ? 'propose' : 'describe',
+    source: selected.source,
+    sourceUrl: selected.url,
+    rawDescription: selected.description
+  };
+
+  let enrichment = { properties: {}, filled: [] };
+  if (db.enrich) {
+    enrichment = buildEnrichmentProperties(db, page, result.metadata);
+    if (enrichment.filled.length > 0) {
+      console.log(`  Filling empty properties: ${enrichment.filled.join(', ')}`);
+    }
+  }
+
+  // Update Notion
+  try {
+    if (REVIEW_MODE) {
+      const confidence = proposalConfidence(result);
+      console.log(`  Proposing description for review (confidence ${confidence})...`);
+      await proposeNotionDescription(db, page.id, cleanedDescription, selected.source, confidence, {
+        ...enrichment.properties,
+        ...optionalProperties(page, [[db.properties.proposedUrl, selected.url]])
+      }, audit);
+    } else {
+      console.log('  Updating Notion...');
+      await updateNotionDescription(db, page.id, cleanedDescription, {
+        ...enrichment.properties,
+        ...provenanceProperties(db, page, selected.source, selected.url)
+      }, audit);
+    }
+    console.log('  Done!');
+    report.successBooks.push({
+      title,
+      author,
+      url: pageUrl,
+      database,
+      source: selected.source,
+      sourceUrl: selected.url,
+      strategy: selected.strategy,
+      matchScore: selected.matchScore,
+      filledFields: enrichment.filled,
+      translatedFrom: result.translatedFrom,
+      description: cleanedDescription
+    });
+    return null;
+  } catch (error) {
+    console.log(`  X Notion update failed: ${error.message}`);
+    return `Update failed: ${error.message}`;
+  }
+}
+
+// Processes a book and updates its failure history so books that never
+// resolve back off instead of blocking the front of the queue every night.
+// Returns false, without recording anything, when the Claude spending cap
+// stopped the book partway or no source could be reached. Books hit by an
+// outage are still listed in the report, without counting as an attempt.
+async function processAndTrackBook(db, page, report, failures) {
+  const { title, author, url, database } = getBookInfo(db, page);
+  let failureReason;
+  try {
+    failureReason = await processBook(db, page, report);
+  } catch (error) {
+    if (error.code === 'SOURCES_UNAVAILABLE') {
+      console.log(`  ${error.message}, not counting this as a failed attempt`);
+      report.failedBooks.push({ title, author, url, database, reason: error.message });
+      return false;
+    }
+    if (error.code !== 'CLAUDE_BUDGET_EXCEEDED') throw error;
+    console.log(`  Stopped: ${error.message}`);
+    return false;
+  }
+
+  if (!failureReason) {
+    clearFailure(failures, page.id);
+    return true;
+  }
+
+  const entry = recordFailure(failures, page.id, title, failureReason);
+
+  if (entry.givenUp) {
+    console.log(`  Giving up after ${entry.attempts} failed attempts`);
+    report.givenUpBooks.push({ title, author, url, database, reason: failureReason, attempts: entry.attempts });
+  } else {
+    const retryOn = nextRetryDate(entry).toISOString().slice(0, 10);
+    console.log(`  Attempt ${entry.attempts} of ${MAX_FAILED_ATTEMPTS} failed, next retry on or after ${retryOn}`);
+    report.failedBooks.push({ title, author, url, database, reason: failureReason, attempts: entry.attempts });
+  }
+  return true;
+}
+
+// Follows Notion cursors until enough books are due for an attempt, so books
+// waiting out a backoff don't use up the run's slots
+async function getDuePages(db, failures, limit) {
+  const duePages = [];
+  let notDue = 0;
+  let cursor = null;
+
+  do {
+    const response = await getNotionPages(db, cursor, NOTION_PAGE_SIZE);
+
+    for (const page of response.results || []) {
+      if (!isDueForAttempt(failures, page.id)) {
+        notDue++;
+        continue;
+      }
+      duePages.push(page);
+      if (duePages.length >= limit) {
+        return { pages: duePages, notDue };
+      }
+    }
+
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+
+  return { pages: duePages, notDue };
+}
+
+// Walks every page of the Notion query, skipping books already attempted in
+// this sweep, until the budget is spent or the results run out
+async function processBacklog(db, report, failures) {
+  const checkpoint = loadCheckpoint(db);
+  const attempted = new Set(checkpoint.attempted);
+  let processed = 0;
+  let cursor = null;
+
+  if (attempted.size > 0) {
+    console.log(`Resuming backlog sweep started ${checkpoint.startedAt} (${attempted.size} book(s) already attempted)\n`);
+  }
+
+  do {
+    const response = await getNotionPages(db, cursor, NOTION_PAGE_SIZE);
+    const pages = (response.results || [])
+      .filter(page => !attempted.has(page.id) && isDueForAttempt(failures, page.id));
+    const batch = pages.slice(0, db.backlogBookBudget - processed);
+
+    await mapWithConcurrency(batch, BOOK_CONCURRENCY, async (page) => {
+      if (claudeBudgetReached()) return;
+      if (!await withBookLog(() => processAndTrackBook(db, page, report, failures))) return;
+
+      // Record progress after every book so a cancelled run loses nothing
+      attempted.add(page.id);
+      checkpoint.attempted.push(page.id);
+      saveCheckpoint(db, checkpoint);
+      processed++;
+    });
+
+    if (claudeBudgetReached()) {
+      console.log('\nClaude spending cap reached, checkpoint saved for next run');
+      return processed;
+    }
+
+    if (batch.length < pages.length) {
+      console.log(`\nBook budget of ${db.backlogBookBudget} reached, checkpoint saved for next run`);
+      return processed;
+    }
+
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+
+  console.log('\nBacklog sweep complete, clearing checkpoint');
+  clearCheckpoint(db);
+  return processed;
+}
+
+// Refresh mode: scores a page's existing description. Good ones are
+// recorded as kept and null is returned; weak ones return the assessment.
+function assessExistingDescription(db, page, refreshed) {
+  const current = richTextToFormattedText(page.properties[db.properties.description]?.rich_text);
+  const assessment = assessDescription(current);
+
+  if (assessment.problems.length === 0) {
+    recordRefreshCheck(refreshed, page.id, { title: getBookInfo(db, page).title, outcome: 'kept', score: assessment.score });
+    return null;
+  }
+  return assessment;
+}
+
+// Refresh mode: searches again for a book with a weak description, and
+// replaces it (or proposes the replacement for review) when the new
+// description has none of the same problems and Claude agrees it's clearly better
+async function refreshBook(db, page, assessment, report, refreshed) {
+  const book = getBookInfo(db, page);
+  const current = richTextToFormattedText(page.properties[db.properties.description]?.rich_text);
+
+  console.log(`\nRefreshing: ${book.title}${book.author ? ` by ${book.author}` : ''}`);
+  console.log(`  Current description scores ${assessment.score}: ${assessment.problems.join('; ')}`);
+
+  const result = await findBookDescription({
+    title: book.title,
+    author: book.author,
+    isbn: book.isbn,
+    language: db.language,
+    translate: db.translate
+  });
+  if (result.sourcesUnavailable) {
+    return;
+  }
+  if (result.failureReason) {
+    recordRefreshCheck(refreshed, page.id, { title: book.title, outcome: 'no replacement found', score: assessment.score });
+    return;
+  }
+
+  const newAssessment = assessDescription(result.description);
+  if (newAssessment.problems.length > 0 || newAssessment.score <= assessment.score) {
+    console.log(`  Keeping current description, the new one scores ${newAssessment.score}: ${newAssessment.problems.join('; ')}`);
+    recordRefreshCheck(refreshed, page.id, { title: book.title, outcome: 'kept', score: assessment.score });
+    return;
+  }
+
+  console.log('  Asking Claude to compare with the current description...');
+  const isBetter = await askClaudeToCompareDescriptions(book.title, book.author, current, result.description);
+  if (!isBetter) {
+    console.log('  Keeping current description');
+    recordRefreshCheck(refreshed, page.id, { title: book.title, outcome: 'kept', score: assessment.score });
+    return;
+  }
+
+  const { selected } = result;
+  const audit = {
+    db,
+    page,
+    action: REVIEW_MODE ? 'propose' : 'refresh',
+    source: selected.source,
+    sourceUrl: selected.url,
+    rawDescription: selected.description
+  };
+  try {
+    if (REVIEW_MODE) {
+      console.log('  Proposing replacement for review...');
+      await proposeNotionDescription(db, page.id, result.description, selected.source, proposalConfidence(result),
+        optionalProperties(page, [[db.properties.proposedUrl, selected.url]]), audit);
+    } else {
+      console.log('  Replacing description...');
+      await updateNotionDescription(db, page.id, result.description, {
+        ...previousDescriptionProperties(db, page),
+        ...provenanceProperties(db, page, selected.source, selected.url)
+      }, audit);
+    }
+    console.log('  Done!');
+    recordRefreshCheck(refreshed, page.id, {
+      title: book.title,
+      outcome: REVIEW_MODE ? 'proposed' : 'replaced',
+      score: assessment.score,
+      previousDescription: current,
+      source: selected.source
+    });
+    report.refreshedBooks.push({ ...book, source: selected.source, sourceUrl: selected.url, problems: assessment.problems });
+  } catch (error) {
+    console.log(`  X Notion update failed: ${error.message}`);
+    report.failedBooks.push({ ...book, reason: `Refresh failed: ${error.message}` });
+  }
+}
+
+// Walks the books that already have descriptions, skipping ones checked
+// since they were last edited, until refreshBooksPerRun searches are made
+async function processRefresh(db, report, refreshed) {
+  console.log(`\nRefreshing weak descriptions (max ${db.refreshBooksPerRun} searches per run)...`);
+  let searched = 0;
+  let cursor = null;
+
+  do {
+    const response = await getPagesWithDescription(db, cursor);
+    const weak = [];
+
+    for (const page of response.results || []) {
+      if (!needsRefreshCheck(refreshed, page)) continue;
+      const assessment = assessExistingDescription(db, page, refreshed);
+      if (assessment) {
+        weak.push({ page, assessment });
+      }
+    }
+
+    const batch = weak.slice(0, db.refreshBooksPerRun - searched);
+    await mapWithConcurrency(batch, BOOK_CONCURRENCY, async ({ page, assessment }) => {
+      if (claudeBudgetReached()) return;
+      try {
+        await withBookLog(() => refreshBook(db, page, assessment, report, refreshed));
+        searched++;
+      } catch (error) {
+        if (error.code !== 'CLAUDE_BUDGET_EXCEEDED') throw error;
+        console.log(`  Stopped refreshing ${getBookInfo(db, page).title}: ${error.message}`);
+      }
+    });
+
+    if (batch.length < weak.length || claudeBudgetReached()) {
+      return searched;
+    }
+
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
+
+  return searched;
+}
+
+// Walks every page with the given review status and hands it to the callback
+async function forEachPageWithStatus(db, status, callback) {
+  let cursor = null;
+
+  do {
+    const response = await getNotionPagesWithStatus(db, status, cursor);
+    for (const page of response.results || []) {
+      await callback(page);
+    }
+    cursor = response.has_more ? response.next_cursor : null;
+  } while (cursor);
 }
 
-async function searchHardcoverDescription(title, author) {
-  if (!HARDCOVER_TOKEN) {
-    return [];
-  }
+async function applyReviewedProposals(db, report) {
+  console.log('Applying approved proposals...');
+  await forEachPageWithStatus(db, STATUS_APPROVED, async (page) => {
+    const book = getBookInfo(db, page);
+    try {
+      await applyProposedDescription(db, page);
+      console.log(`  Applied: ${book.title}`);
+      report.appliedBooks.push(book);
+    } catch (error) {
+      console.log(`  X Failed to apply ${book.title}: ${error.message}`);
+      report.failedBooks.push({ ...book, reason: `Apply failed: ${error.message}` });
+    }
+  });
 
-  const query = author ? `${title} ${author}` : title;
+  console.log('\nClearing rejected proposals...');
+  await forEachPageWithStatus(db, STATUS_REJECTED, async (page) => {
+    const proposed = page.properties[db.properties.proposedDescription]?.rich_text || [];
+    if (proposed.length === 0) return;
 
-  const graphqlQuery = {
-    query: `{ search(query: "${query.replace(/"/g, '\\"')}", query_type: "books", per_page: 3) { results } }`
-  };
+    const book = getBookInfo(db, page);
+    try {
+      await clearRejectedProposal(db, page);
+      console.log(`  Cleared: ${book.title}`);
+      report.rejectedBooks.push(book);
+    } catch (error) {
+      console.log(`  X Failed to clear ${book.title}: ${error.message}`);
+      report.failedBooks.push({ ...book, reason: `Clear failed: ${error.message}` });
+    }
+  });
+}
 
-  const postBody = JSON.stringify(graphqlQuery);
+// Processes one database's queue: the whole backlog in backlog mode, or up
+// to its per-run limit of books that are due for an attempt
+async function processDatabase(db, report, failures) {
+  if (BACKLOG_MODE) {
+    console.log(`Backlog mode, book budget: ${db.backlogBookBudget}\n`);
+    return await processBacklog(db, report, failures);
+  }
 
-  const options = {
-    hostname: 'api.hardcover.app',
-    path: '/v1/graphql',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${HARDCOVER_TOKEN}`
-    }
-  };
+  const { pages, notDue } = await getDuePages(db, failures, db.maxBooksPerRun);
 
-  try {
-    const data = await httpsRequest(options, postBody);
+  console.log(`Found ${pages.length} book(s) needing descriptions (max ${db.maxBooksPerRun} per run)`);
+  if (notDue > 0) {
+    console.log(`Passed over ${notDue} book(s) that are backing off or have been given up on`);
+  }
+  console.log('');
 
-    if (!data?.data?.search?.results?.hits) {
-      return [];
+  let processed = 0;
+  await mapWithConcurrency(pages, BOOK_CONCURRENCY, async (page) => {
+    if (claudeBudgetReached()) return;
+    if (await withBookLog(() => processAndTrackBook(db, page, report, failures))) {
+      processed++;
     }
+  });
 
-    return data.data.search.results.hits
-      .filter(hit => hit.document?.description)
-      .map(hit => {
-        const doc = hit.document;
-        return {
-          title: doc.title || 'Unknown',
-          authors: doc.author_names || [],
-          description: doc.description,
-          source: 'Hardcover'
-        };
-      });
-  } catch (error) {
-    console.log('  X Hardcover error:', error.message);
-    return [];
-  }
+  return processed;
 }
 
-async function searchGoodreadsDescription(title, author) {
-  const query = author ? `${title} ${author}` : title;
-  const encodedQuery = encodeURIComponent(query);
+async function runAutomation() {
+  const startTime = new Date();
+  console.log('=== Book Description Automation Started ===');
+  console.log(startTime.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+  console.log(`Run id: ${RUN_ID}`);
+  if (BOOK_CONCURRENCY > 1) {
+    bufferBookLogs();
+  }
+  if (APPLY_APPROVED) {
+    console.log('Applying reviewed proposals');
+  }
 
-  // Step 1: Search Goodreads for the book page URL
-  const searchOptions = {
-    hostname: 'www.goodreads.com',
-    path: `/search?q=${encodedQuery}`,
-    method: 'GET',
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    }
+  const report = {
+    successBooks: [],
+    failedBooks: [],
+    givenUpBooks: [],
+    appliedBooks: [],
+    rejectedBooks: [],
+    refreshedBooks: []
   };
 
   try {
-    const searchHtml = await httpsRequest(searchOptions);
+    const databases = loadDatabases();
+    report.databaseCount = databases.length;
+    pruneCache();
 
-    if (typeof searchHtml !== 'string') {
-      return [];
-    }
+    if (APPLY_APPROVED) {
+      for (const db of databases) {
+        console.log(`\n=== ${db.name} ===`);
+        await applyReviewedProposals(db, report);
+      }
 
-    // Extract the first book URL from search results
-    const bookUrlMatch = searchHtml.match(/\/book\/show\/\d+[^"'\s]*/);
-    if (!bookUrlMatch) {
-      return [];
+      console.log('\n=== Summary ===');
+      console.log(`Applied: ${report.appliedBooks.length}`);
+      console.log(`Rejected proposals cleared: ${report.rejectedBooks.length}`);
+      console.log(`Failed: ${report.failedBooks.length}`);
+
+      await sendNotifications(report, startTime);
+      return;
     }
 
-    const bookPath = bookUrlMatch[0];
+    const failures = loadFailures();
 
-    // Courtesy delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const refreshed = REFRESH_MODE ? loadRefreshed() : null;
+    let processed = 0;
 
-    // Step 2: Fetch the book page
-    const bookOptions = {
-      hostname: 'www.goodreads.com',
-      path: bookPath,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+    for (const db of databases) {
+      console.log(`\n=== ${db.name} ===`);
+      if (claudeBudgetReached()) break;
+      processed += await processDatabase(db, report, failures);
+      if (REFRESH_MODE && !claudeBudgetReached()) {
+        processed += await processRefresh(db, report, refreshed);
       }
-    };
-
-    const bookHtml = await httpsRequest(bookOptions);
-
-    if (typeof bookHtml !== 'string') {
-      return [];
     }
+    report.claudeUsage = claudeUsage;
+    report.budgetReached = claudeBudgetReached();
 
-    // Step 3: Extract description from data-testid="description" area
-    // Find the description section and extract text from span.Formatted
-    const descSectionMatch = bookHtml.match(/data-testid="description"[\s\S]*?<span class="Formatted">([\s\S]*?)<\/span>/);
-    if (!descSectionMatch) {
-      return [];
+    console.log('\n=== Summary ===');
+    console.log(`Processed: ${processed}`);
+    console.log(`Done: ${report.successBooks.length}`);
+    if (REFRESH_MODE) {
+      console.log(`Refreshed: ${report.refreshedBooks.length}`);
+    }
+    console.log(`Skipped: ${report.failedBooks.length}`);
+    console.log(`Given up: ${report.givenUpBooks.length}`);
+    if (CACHE_ENABLED) {
+      console.log(`Cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es)`);
     }
+    console.log(`Claude: ${claudeUsageSummary()}`);
+    if (report.budgetReached) {
+      console.log(`Stopped early: Claude spending cap of ${formatCost(CLAUDE_MAX_RUN_COST_USD)} reached`);
+    }
+
+    await sendNotifications(report, startTime);
+
+  } catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  }
+}
 
-    let description = descSectionMatch[1];
+// ============================================
+// WEBHOOK SERVER
+// ============================================
 
-    // Convert <br> to newlines, strip remaining HTML tags
-    description = description.replace(/<br\s*\/?>/g, '\n');
-    description = description.replace(/<[^>]*>/g, '');
-    description = description.replace(/\n{3,}/g, '\n\n').trim();
+// Notion events after which a page may be a book waiting for a description
+const NOTION_PAGE_EVENTS = new Set(['page.created', 'page.properties_updated', 'page.undeleted']);
 
-    // Decode HTML entities
-    description = description
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&#39;/g, "'")
-      .replace(/&quot;/g, '"')
-      .replace(/&#x27;/g, "'")
-      .replace(/&nbsp;/g, ' ');
+// Pages being described right now, by normalized id. A duplicate event or
+// request for one of them is turned away instead of causing a second write.
+const pagesInProgress = new Set();
 
-    if (description.length < 20) {
-      return [];
-    }
+// Errors the server answers with their own status. Any other error, including
+// an httpsRequest() error carrying an upstream statusCode, becomes a 500.
+function serverError(responseStatus, message) {
+  const error = new Error(message);
+  error.responseStatus = responseStatus;
+  return error;
+}
 
-    // Extract title from page for logging
-    const pageTitleMatch = bookHtml.match(/<title>([^<]*)<\/title>/);
-    const pageTitle = pageTitleMatch ? pageTitleMatch[1].replace(/ by .*/, '').trim() : 'Unknown';
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_REQUEST_BODY_BYTES) {
+        reject(serverError(413, 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
 
-    return [{
-      title: pageTitle,
-      authors: author ? [author] : [],
-      description: description,
-      source: 'Goodreads'
-    }];
+function parseJsonBody(body) {
+  try {
+    return JSON.parse(body.toString('utf8') || '{}');
   } catch (error) {
-    console.log('  X Goodreads error:', error.message);
-    return [];
+    throw serverError(400, `Invalid JSON: ${error.message}`);
   }
 }
 
-// ============================================
-// CLAUDE AI FUNCTIONS
-// ============================================
+// Signatures are "sha256=" followed by the hex HMAC-SHA256 of the raw body
+function hasValidSignature(header, body, secret) {
+  if (!header || !secret) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const actual = Buffer.from(String(header));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
 
-async function askClaudeToPickBestDescription(title, author, descriptions) {
-  const options = {
-    hostname: 'api.anthropic.com',
-    path: '/v1/messages',
-    method: 'POST',
-    headers: {
-      'x-api-key': ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json'
+function hasFormat(db, page) {
+  if (!db.properties.format) return true;
+  const property = page.properties[db.properties.format];
+  const values = property?.type === 'multi_select'
+    ? property.multi_select.map(option => option.name)
+    : [readPropertyText(property)];
+  return values.some(value => db.formatValues.includes(value));
+}
+
+// The getNotionPages filter for a single page: returns why the page isn't
+// waiting for a description, or null when it is. Pages without a title are
+// skipped too, since page.created events arrive while the page is blank.
+function pageSkipReason(db, page) {
+  if (page.archived || page.in_trash) {
+    return 'Page is in the trash';
+  }
+  if (!db.properties.title.some(name => readPropertyText(page.properties[name]).trim())) {
+    return 'Page has no title yet';
+  }
+  if (!hasFormat(db, page)) {
+    return `${db.properties.format} is not ${db.formatValues.join(' or ')}`;
+  }
+  if (readPropertyText(page.properties[db.properties.description])) {
+    return 'Already has a description';
+  }
+  if (REVIEW_MODE) {
+    const status = readPropertyText(page.properties[db.properties.descriptionStatus]);
+    if ([STATUS_NEEDS_REVIEW, STATUS_APPROVED, STATUS_REJECTED].includes(status)) {
+      return `${db.properties.descriptionStatus} is ${status}`;
     }
-  };
+  }
+  return null;
+}
 
-  const prompt = `I have multiple descriptions for the book "${title}" by ${author || 'Unknown'}. Pick the one that is the BEST and most complete actual book description/blurb.
+// Runs the same search, pick, clean and update as a scheduled run for one
+// page, and returns the outcome for the JSON response. Webhook events fire
+// on every edit, so for them (fromEvent) a book that is backing off or was
+// given up on is skipped; POST /describe always looks it up.
+async function describePage(server, pageId, { fromEvent = false } = {}) {
+  let page;
+  try {
+    page = await getNotionPage(pageId);
+  } catch (error) {
+    throw serverError(502, `Could not read page ${pageId}: ${error.message}`);
+  }
 
-Prefer descriptions that:
-- Actually describe what the book is about (plot, themes, premise)
-- Are substantive (not just one sentence)
-- Read like a back-of-book blurb
+  const parentId = normalizePageId(page.parent?.database_id);
+  const db = server.databases.find(candidate => normalizePageId(candidate.id) === parentId);
+  if (!db) {
+    console.log(`\nIgnoring page ${pageId}: not in a configured database`);
+    return { pageId: page.id, status: 'ignored', reason: 'Page is not in a configured database' };
+  }
 
-Avoid descriptions that are mostly:
-- Press quotes or review excerpts
-- Lists of awards
-- Author biographical information
+  const { title, author, url, database } = getBookInfo(db, page);
+  const outcome = { pageId: page.id, title, author, url, database };
 
-${descriptions.map((d, i) => `--- Description ${i + 1} (${d.source}) ---\n${d.description}`).join('\n\n')}
+  const skipReason = pageSkipReason(db, page);
+  if (skipReason) {
+    console.log(`\nSkipping ${title}: ${skipReason}`);
+    return { ...outcome, status: 'skipped', reason: skipReason };
+  }
+  if (fromEvent && !isDueForAttempt(server.failures, page.id)) {
+    const reason = server.failures[page.id].givenUp ? 'Given up after repeated failures' : 'Waiting for its next retry';
+    console.log(`\nSkipping ${title}: ${reason}`);
+    return { ...outcome, status: 'skipped', reason };
+  }
 
-Respond with ONLY the number (1, 2, 3, etc.) of the best description.`;
+  const report = { successBooks: [], failedBooks: [], givenUpBooks: [] };
+  const tracked = await processAndTrackBook(db, page, report, server.failures);
+  if (!tracked && report.failedBooks.length === 0) {
+    throw serverError(503, `Claude spending cap of ${formatCost(CLAUDE_MAX_RUN_COST_USD)} reached`);
+  }
 
-  const body = {
-    model: 'claude-3-haiku-20240307',
-    max_tokens: 50,
-    messages: [{ role: 'user', content: prompt }]
+  const added = report.successBooks[0];
+  if (added) {
+    return {
+      ...outcome,
+      status: REVIEW_MODE ? 'proposed' : 'described',
+      source: added.source,
+      sourceUrl: added.sourceUrl,
+      matchScore: added.matchScore,
+      filledFields: added.filledFields,
+      translatedFrom: added.translatedFrom,
+      description: added.description,
+      plainText: formattedTextToPlainText(added.description)
+    };
+  }
+
+  const failed = report.failedBooks[0] || report.givenUpBooks[0];
+  return {
+    ...outcome,
+    status: !tracked ? 'unavailable' : (report.givenUpBooks.length > 0 ? 'given-up' : 'failed'),
+    reason: failed.reason,
+    attempts: failed.attempts
   };
+}
 
-  try {
-    const response = await httpsRequest(options, body);
+// Describes the page unless it's already being described, in which case it
+// resolves with null
+async function describePageOnce(server, pageId, options = {}) {
+  const key = normalizePageId(pageId);
+  if (pagesInProgress.has(key)) {
+    console.log(`Page ${pageId} is already being described, ignoring the duplicate`);
+    return null;
+  }
 
-    if (!response || !response.content || !Array.isArray(response.content) || response.content.length === 0) {
-      return 0;
-    }
+  pagesInProgress.add(key);
+  try {
+    return await withBookLog(() => describePage(server, pageId, options));
+  } finally {
+    pagesInProgress.delete(key);
+  }
+}
 
-    const answer = response.content[0].text.trim();
-    const digitMatch = answer.match(/\b(\d+)\b/);
+// POST /describe {"pageId": "..."}, signed with SERVER_SECRET in X-Signature.
+// Responds once the page is done.
+async function handleDescribeRequest(server, req, body) {
+  if (!hasValidSignature(req.headers['x-signature'], body, SERVER_SECRET)) {
+    throw serverError(401, SERVER_SECRET ? 'Invalid signature' : 'SERVER_SECRET is not set');
+  }
 
-    if (digitMatch) {
-      const number = parseInt(digitMatch[1]);
-      if (number >= 1 && number <= descriptions.length) {
-        return number - 1; // Convert to 0-indexed
-      }
-    }
+  const { pageId } = parseJsonBody(body);
+  if (!pageId || typeof pageId !== 'string') {
+    throw serverError(400, 'pageId is required');
+  }
 
-    return 0; // Default to first description
-  } catch (error) {
-    console.log('  X Claude pick error:', error.message);
-    return 0;
+  const result = await describePageOnce(server, pageId);
+  if (!result) {
+    return [409, { pageId, status: 'in-progress', reason: 'Page is already being described' }];
   }
+  return [200, result];
 }
 
-async function askClaudeToCleanDescription(title, author, rawDescription) {
-  const options = {
-    hostname: 'api.anthropic.com',
-    path: '/v1/messages',
-    method: 'POST',
-    headers: {
-      'x-api-key': ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json'
+// POST /notion-webhook, for a Notion webhook subscription. Events are
+// acknowledged straight away and the page is described in the background,
+// since Notion doesn't wait long for a response.
+async function handleNotionWebhook(server, req, body) {
+  if (!NOTION_WEBHOOK_SECRET) {
+    // The one-time verification request carries the token that signs later events
+    const { verification_token: verificationToken } = parseJsonBody(body);
+    if (verificationToken) {
+      console.log(`Notion webhook verification token: ${verificationToken}`);
+      console.log('Paste it into Notion to verify the subscription, then set it as NOTION_WEBHOOK_SECRET');
+      return [200, { ok: true }];
     }
-  };
-
-  const prompt = `Clean this book description for "${title}" by ${author || 'Unknown'}.
+    throw serverError(401, 'NOTION_WEBHOOK_SECRET is not set');
+  }
 
-REMOVE all of the following:
-- Press/review quotes (e.g., "'A masterpiece' - New York Times", "'Brilliant!' - Stephen King")
-- Bestseller/award mentions (e.g., "A #1 New York Times Bestseller", "Winner of the Pulitzer Prize")
-- Author endorsement quotes from other authors
-- "Now a major motion picture" or similar promotional lines
-- Phrases like "From the author of [other book]..." at the very start (but keep if it's mid-description context)
-- Marketing superlatives not part of the actual blurb ("The must-read book of the year!")
+  if (!hasValidSignature(req.headers['x-notion-signature'], body, NOTION_WEBHOOK_SECRET)) {
+    throw serverError(401, 'Invalid signature');
+  }
 
-KEEP:
-- The actual book description/blurb text that describes what the book is about
-- Plot summary, character introductions, thematic descriptions
-- Any "about the book" content that tells the reader what to expect
+  const event = parseJsonBody(body);
+  if (!NOTION_PAGE_EVENTS.has(event.type) || event.entity?.type !== 'page' || !event.entity.id) {
+    return [200, { ok: true, ignored: event.type || 'unknown event' }];
+  }
 
-RULES:
-- Return ONLY the cleaned description text, nothing else
-- Do NOT add any commentary, headers, or labels
-- Do NOT start with phrases like "Here is..." or "The cleaned description..." -- begin DIRECTLY with the book description text
-- Do NOT rewrite or paraphrase -- preserve the original wording of the kept parts
-- If after removing everything there is very little left, return what you can -- even a single descriptive sentence is fine
-- If the ENTIRE description is quotes/accolades with zero actual blurb, return the original text as-is (something is better than nothing)
-- Strip any HTML tags if present
+  describePageOnce(server, event.entity.id, { fromEvent: true }).catch(error => {
+    console.log(`X Describing page ${event.entity.id} failed: ${error.message}`);
+  });
+  return [202, { ok: true, pageId: event.entity.id }];
+}
 
-Raw description:
-${rawDescription}`;
+const SERVER_ROUTES = {
+  'GET /health': async () => [200, { ok: true, inProgress: pagesInProgress.size }],
+  'POST /describe': handleDescribeRequest,
+  'POST /notion-webhook': handleNotionWebhook
+};
 
-  const body = {
-    model: 'claude-3-haiku-20240307',
-    max_tokens: 2048,
-    system: 'You are a text processing tool. Output ONLY the processed text. Never add introductions, labels, headers, or commentary. Begin your response directly with the book description text.',
-    messages: [{ role: 'user', content: prompt }]
-  };
+async function handleServerRequest(server, req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let statusCode;
+  let payload;
 
   try {
-    const response = await httpsRequest(options, body);
-
-    if (!response?.content?.[0]?.text) {
-      return rawDescription;
+    const handler = SERVER_ROUTES[`${req.method} ${pathname}`];
+    if (!handler) {
+      const knownPath = Object.keys(SERVER_ROUTES).some(route => route.endsWith(` ${pathname}`));
+      throw serverError(knownPath ? 405 : 404, knownPath ? `${req.method} is not allowed` : 'Not found');
+    }
+    const body = await readRequestBody(req);
+    [statusCode, payload] = await handler(server, req, body);
+  } catch (error) {
+    statusCode = error.responseStatus || 500;
+    payload = { error: error.message };
+    if (!error.responseStatus) {
+      console.log(`X ${req.method} ${pathname} failed: ${error.message}`);
     }
+  }
 
-    let cleaned = response.content[0].text.trim();
+  console.log(`${req.method} ${pathname} ${statusCode}`);
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload) + '\n');
+}
 
-    // Strip any AI-generated intro lines like "Here is the cleaned description for..."
-    cleaned = cleaned.replace(/^(?:Here(?:'s| is) the cleaned (?:book )?description.*?:\s*)/i, '');
+// serve [--port PORT]
+// Listens until SIGINT or SIGTERM, describing single pages as requests come in
+async function serveCommand(args) {
+  if (!NOTION_TOKEN) {
+    throw new Error('NOTION_TOKEN is required to run the server');
+  }
+  const port = parseInt(getArgValue(args, '--port') || SERVER_PORT, 10);
 
-    // Safety fallback: if Claude returned something very short but original was substantial
-    if (cleaned.length < 20 && rawDescription.length > 200) {
-      console.log('  ! Claude returned very short result, using original');
-      return rawDescription;
-    }
+  console.log('=== Book Description Server ===');
+  console.log(`Run id: ${RUN_ID}`);
+  if (!NOTION_WEBHOOK_SECRET && !SERVER_SECRET) {
+    console.log("! Neither NOTION_WEBHOOK_SECRET nor SERVER_SECRET is set, only Notion's verification request will be accepted");
+  }
+  bufferBookLogs();
+  pruneCache();
 
-    // Strip any remaining HTML tags as safety net
-    cleaned = cleaned.replace(/<[^>]*>/g, '');
+  const server = {
+    databases: loadDatabases(),
+    failures: loadFailures()
+  };
 
-    return cleaned;
-  } catch (error) {
-    console.log('  X Claude clean error:', error.message);
-    return rawDescription;
+  const httpServer = http.createServer((req, res) => handleServerRequest(server, req, res));
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      console.log(`\n${signal} received, finishing open requests`);
+      httpServer.close();
+    });
   }
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.once('close', resolve);
+    httpServer.listen(port, () => console.log(`Listening on port ${port}`));
+  });
+  console.log(`Claude: ${claudeUsageSummary()}`);
 }
 
 // ============================================
-// SLACK NOTIFICATION
+// COMMAND LINE
 // ============================================
 
-async function sendSlackNotification(successBooks, failedBooks, runTime) {
-  if (!SLACK_WEBHOOK_URL) {
-    console.log('\nNo Slack webhook configured, skipping notification');
-    return;
+// Returns the value after a --flag on the command line, or null
+function getArgValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index >= 0 && index + 1 < args.length ? args[index + 1] : null;
+}
+
+function describeCandidate(candidate) {
+  const authors = candidate.authors.length > 0 ? ` by ${candidate.authors.join(', ')}` : '';
+  const language = candidate.language ? `, ${languageName(candidate.language)}` : '';
+  return `"${candidate.title}"${authors}, match ${candidate.matchScore.toFixed(2)} (${STRATEGY_LABELS[candidate.strategy]}${language})`;
+}
+
+// describe --title "Piranesi" [--author "Susanna Clarke"] [--isbn ...] [--language en] [--json]
+// Looks a book up and prints what the pipeline would write, without Notion
+async function describeCommand(args) {
+  const title = getArgValue(args, '--title');
+  const author = getArgValue(args, '--author') || '';
+  const isbn = getArgValue(args, '--isbn') || '';
+  const language = (getArgValue(args, '--language') || DESCRIPTION_LANGUAGE).toLowerCase();
+  const asJson = args.includes('--json');
+
+  if (!title && !isbn) {
+    console.error('Usage: node notion-book-descriptions.js describe --title "Title" [--author "Author"] [--isbn ISBN] [--language CODE] [--translate] [--json]');
+    process.exit(2);
   }
 
-  const url = new URL(SLACK_WEBHOOK_URL);
+  // Keep stdout clean for the JSON by sending progress logs to stderr
+  if (asJson) {
+    console.log = console.error;
+  }
 
-  const pacificTime = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/Los_Angeles',
-    dateStyle: 'full',
-    timeStyle: 'short'
-  }).format(runTime);
+  pruneCache();
 
-  let message = `*Book Description Automation Report*\n${pacificTime}\n\n`;
+  console.log(`Describing: ${title || 'Unknown'}${author ? ` by ${author}` : ''}${isbn ? ` (ISBN ${isbn})` : ''}`);
+  const result = await findBookDescription({ title: title || '', author, isbn, language });
 
-  if (successBooks.length > 0) {
-    message += `*${successBooks.length} description${successBooks.length === 1 ? '' : 's'} added:*\n`;
-    successBooks.forEach(book => {
-      message += `- <${book.url}|${book.title}>${book.author ? ` by ${book.author}` : ''}\n`;
-    });
-    message += '\n';
+  if (asJson) {
+    process.stdout.write(JSON.stringify({
+      ...result,
+      selectedIndex: result.candidates.indexOf(result.selected),
+      plainText: result.description ? formattedTextToPlainText(result.description) : null,
+      claudeUsage: { ...claudeUsage, model: CLAUDE_MODEL }
+    }, null, 2) + '\n');
+    process.exitCode = result.failureReason ? 1 : 0;
+    return;
   }
 
-  if (failedBooks.length > 0) {
-    message += `*${failedBooks.length} book${failedBooks.length === 1 ? '' : 's'} skipped:*\n`;
-    failedBooks.forEach(book => {
-      message += `- <${book.url}|${book.title}>${book.author ? ` by ${book.author}` : ''}\n  _Reason: ${book.reason}_\n`;
+  const sources = [...new Set(result.candidates.map(candidate => candidate.source))];
+  console.log('\n=== Candidates ===');
+  if (sources.length === 0) {
+    console.log('None');
+  }
+  for (const source of sources) {
+    console.log(`\n${source}:`);
+    result.candidates.forEach((candidate, i) => {
+      if (candidate.source !== source) return;
+      const marker = candidate === result.selected ? '*' : ' ';
+      console.log(`${marker} [${i + 1}] ${describeCandidate(candidate)}`);
+      const preview = formattedTextToPlainText(candidate.description).replace(/\s+/g, ' ');
+      console.log(`      ${preview.length > 160 ? `${preview.slice(0, 160)}...` : preview}`);
     });
-    message += '\n';
   }
 
-  if (successBooks.length === 0 && failedBooks.length === 0) {
-    message += 'No books needed descriptions\n';
+  if (result.failureReason) {
+    console.log(`\nNo description: ${result.failureReason}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n=== Chosen ===');
+  console.log(`[${result.candidates.indexOf(result.selected) + 1}] ${result.selected.source}: ${describeCandidate(result.selected)}`);
+  if (result.selected.url) {
+    console.log(result.selected.url);
+  }
+  if (result.query) {
+    console.log(`Found by searching for "${result.query.title}"${result.query.author ? ` by ${result.query.author}` : ''} (${result.query.label})`);
+  }
+  if (result.pick) {
+    console.log(`Claude${result.pick.confidence === null ? '' : ` (confidence ${result.pick.confidence.toFixed(2)})`}: ${result.pick.reason}`);
+  }
+  if (result.removed.length > 0) {
+    console.log('\n=== Removed By Rules ===');
+    result.removed.forEach(item => console.log(`${item.rule}: ${item.text}`));
   }
+  console.log('\n=== Cleaned Description ===');
+  console.log(formattedTextToPlainText(result.description));
 
-  if (process.env.GITHUB_RUN_ID) {
-    const repo = process.env.GITHUB_REPOSITORY;
-    const runId = process.env.GITHUB_RUN_ID;
-    message += `\n<https://github.com/${repo}/actions/runs/${runId}|View full logs on GitHub>`;
+  const metadataLines = Object.entries(result.metadata)
+    .filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0))
+    .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  if (metadataLines.length > 0) {
+    console.log('\n=== Metadata ===');
+    metadataLines.forEach(line => console.log(line));
   }
 
-  const payload = { text: message };
+  console.log(`\nClaude: ${claudeUsageSummary()}`);
+}
 
-  const options = {
-    hostname: url.hostname,
-    path: url.pathname,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  };
+function normalizePageId(pageId) {
+  return String(pageId || '').replace(/-/g, '').toLowerCase();
+}
 
-  try {
-    const slackResponse = await httpsRequest(options, payload);
-    if (slackResponse === 'ok') {
-      console.log('Slack notification sent');
-    } else {
-      console.log('Slack response:', JSON.stringify(slackResponse));
-    }
-  } catch (error) {
-    console.log('Failed to send Slack notification:', error.message);
+function parseDateArg(value, flag) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    console.error(`Invalid date for ${flag}: ${value}`);
+    process.exit(2);
   }
+  return date;
 }
 
-// ============================================
-// MAIN PROCESSING
-// ============================================
-
-(async () => {
-  const startTime = new Date();
-  console.log('=== Book Description Automation Started ===');
-  console.log(startTime.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-  console.log(`Max books per run: ${MAX_BOOKS_PER_RUN}\n`);
+// revert [--run RUN_ID] [--page PAGE_ID] [--since DATE] [--until DATE] [--dry-run] [--force]
+// Writes back the values that the matching audit log entries replaced.
+// Pages changed again by a later entry are skipped unless --force is given.
+async function revertCommand(args) {
+  const runId = getArgValue(args, '--run');
+  const pageId = getArgValue(args, '--page');
+  const since = parseDateArg(getArgValue(args, '--since'), '--since');
+  const until = parseDateArg(getArgValue(args, '--until'), '--until');
+  const dryRun = args.includes('--dry-run');
+  const force = args.includes('--force');
 
-  const successBooks = [];
-  const failedBooks = [];
+  if (!runId && !pageId && !since && !until) {
+    console.error('Usage: node notion-book-descriptions.js revert [--run RUN_ID] [--page PAGE_ID] [--since DATE] [--until DATE] [--dry-run] [--force]');
+    process.exit(2);
+  }
 
-  try {
-    const response = await getNotionPages();
-    const pages = response.results || [];
+  if (!NOTION_TOKEN && !dryRun) {
+    throw new Error('NOTION_TOKEN is required to revert changes');
+  }
 
-    console.log(`Found ${pages.length} book(s) needing descriptions\n`);
+  const entries = readAuditLog();
+  const alreadyReverted = new Set(entries.flatMap(entry => entry.reverts || []));
+  const isSelected = entry => entry.action !== 'revert' &&
+    !alreadyReverted.has(entry.id) &&
+    (!runId || entry.runId === runId) &&
+    (!pageId || normalizePageId(entry.pageId) === normalizePageId(pageId)) &&
+    (!since || new Date(entry.timestamp) >= since) &&
+    (!until || new Date(entry.timestamp) <= until);
 
-    for (const page of pages) {
-      const properties = page.properties;
-      const titleProp = properties['Media'] || properties['Title'] || properties['Name'];
-      const sourceProp = properties['Source'];
+  // Group the selected entries by page, oldest first
+  const selectedByPage = new Map();
+  for (const entry of entries.filter(isSelected)) {
+    const key = normalizePageId(entry.pageId);
+    if (!selectedByPage.has(key)) selectedByPage.set(key, []);
+    selectedByPage.get(key).push(entry);
+  }
 
-      const title = titleProp?.title?.[0]?.plain_text || 'Unknown';
-      const author = sourceProp?.rich_text?.[0]?.plain_text || '';
-      const pageUrl = `https://notion.so/${page.id.replace(/-/g, '')}`;
+  if (selectedByPage.size === 0) {
+    console.log(`No changes to revert in ${AUDIT_LOG_FILE}`);
+    return;
+  }
 
-      console.log(`\nProcessing: ${title}${author ? ` by ${author}` : ''}`);
-      console.log('  Searching for descriptions...');
+  console.log(`${dryRun ? 'Would revert' : 'Reverting'} changes to ${selectedByPage.size} page(s)${dryRun ? ' (dry run)' : ''}`);
+  let reverted = 0;
+  let skipped = 0;
 
-      const googleResults = await searchGoogleBooksDescription(title, author);
-      const openLibResults = await searchOpenLibraryDescription(title, author);
-      const hardcoverResults = await searchHardcoverDescription(title, author);
+  for (const pageEntries of selectedByPage.values()) {
+    const oldest = pageEntries[0];
+    const newest = pageEntries[pageEntries.length - 1];
+    const title = newest.title || oldest.pageId;
 
-      let allResults = [...googleResults, ...openLibResults, ...hardcoverResults];
+    const laterChanges = entries.filter(entry =>
+      normalizePageId(entry.pageId) === normalizePageId(newest.pageId) &&
+      entry.timestamp > newest.timestamp &&
+      !pageEntries.includes(entry) &&
+      !alreadyReverted.has(entry.id));
+    if (laterChanges.length > 0 && !force) {
+      console.log(`\n! ${title}: changed again later (${laterChanges.map(entry => entry.action).join(', ')}), skipping. Use --force to revert anyway`);
+      skipped++;
+      continue;
+    }
 
-      // If no results from APIs, try scraping Goodreads as a last resort
-      if (allResults.length === 0) {
-        console.log('  No API results, trying Goodreads scraping...');
-        const goodreadsResults = await searchGoodreadsDescription(title, author);
-        allResults = goodreadsResults;
-      }
+    // Apply the newest entry's previous values first so the oldest win
+    const properties = {};
+    for (const entry of [...pageEntries].reverse()) {
+      Object.assign(properties, entry.previous);
+    }
+    // Body blocks the changes added come off, and ones they replaced come
+    // back, except blocks both added and replaced within these changes
+    const appended = pageEntries.flatMap(entry => entry.appendedBlockIds || []);
+    const removed = pageEntries.flatMap(entry => entry.removedBlockIds || []);
+    const blockIds = appended.filter(blockId => !removed.includes(blockId));
+    const restoredBlockIds = removed.filter(blockId => !appended.includes(blockId));
 
-      if (allResults.length === 0) {
-        console.log('  X No descriptions found - skipping');
-        failedBooks.push({ title, author, url: pageUrl, reason: 'No descriptions found' });
-        continue;
-      }
+    console.log(`\n${title} (${pageEntries.length} change(s): ${pageEntries.map(entry => entry.action).join(', ')})`);
+    const restored = oldest.previousValue ? formattedTextToPlainText(oldest.previousValue).replace(/\s+/g, ' ') : '';
+    console.log(`  Restoring: ${restored ? `${restored.slice(0, 120)}${restored.length > 120 ? '...' : ''}` : '(empty)'}`);
+    if (blockIds.length > 0) {
+      console.log(`  Removing ${blockIds.length} page body block(s)`);
+    }
+    if (restoredBlockIds.length > 0) {
+      console.log(`  Restoring ${restoredBlockIds.length} page body block(s)`);
+    }
 
-      console.log(`  Found ${allResults.length} description(s)`);
+    if (dryRun) {
+      reverted++;
+      continue;
+    }
 
-      // Pick the best description
-      let selectedDescription;
+    try {
+      const page = await getNotionPage(newest.pageId);
+      await updateNotionPage(newest.pageId, properties, {
+        page,
+        action: 'revert',
+        title: newest.title,
+        previousValue: newest.newValue,
+        newValue: oldest.previousValue,
+        reverts: pageEntries.map(entry => entry.id)
+      });
 
-      if (allResults.length === 1) {
-        console.log('  Using the only description found');
-        selectedDescription = allResults[0].description;
-      } else {
-        console.log('  Asking Claude to pick best description...');
-        const selectedIndex = await askClaudeToPickBestDescription(title, author, allResults);
-        selectedDescription = allResults[selectedIndex].description;
-        console.log(`  Selected description #${selectedIndex + 1} from ${allResults[selectedIndex].source}`);
+      await removeNotionBlocks(blockIds);
+      for (const blockId of restoredBlockIds) {
+        try {
+          await restoreNotionBlock(blockId);
+        } catch (error) {
+          console.log(`  ! Couldn't restore block ${blockId}: ${error.message}`);
+        }
       }
+      recordBodyBlockIds(newest.pageId, bodyBlockIdsFromAuditLog(readAuditLog(), newest.pageId));
+      console.log('  Reverted');
+      reverted++;
+    } catch (error) {
+      console.log(`  X Revert failed: ${error.message}`);
+      skipped++;
+    }
+  }
 
-      // Clean the description with Claude
-      console.log('  Cleaning description with Claude...');
-      const cleanedDescription = await askClaudeToCleanDescription(title, author, selectedDescription);
+  console.log(`\n${dryRun ? 'Would revert' : 'Reverted'}: ${reverted}`);
+  console.log(`Skipped: ${skipped}`);
+  if (skipped > 0) {
+    process.exitCode = 1;
+  }
+}
 
-      if (cleanedDescription.length > MAX_DESCRIPTION_LENGTH) {
-        console.log(`  ! Description is ${cleanedDescription.length} chars, will truncate to ${MAX_DESCRIPTION_LENGTH}`);
-      }
+async function main() {
+  const args = process.argv.slice(2);
 
-      // Update Notion
-      console.log('  Updating Notion...');
-      try {
-        await updateNotionDescription(page.id, cleanedDescription);
-        console.log('  Done!');
-        successBooks.push({ title, author, url: pageUrl });
-      } catch (error) {
-        console.log(`  X Notion update failed: ${error.message}`);
-        failedBooks.push({ title, author, url: pageUrl, reason: `Update failed: ${error.message}` });
-      }
+  if (args[0] === 'describe') {
+    await describeCommand(args.slice(1));
+    return;
+  }
 
-      // Rate limiting pause between books
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+  if (args[0] === 'revert') {
+    await revertCommand(args.slice(1));
+    return;
+  }
 
-    console.log('\n=== Summary ===');
-    console.log(`Processed: ${pages.length}`);
-    console.log(`Done: ${successBooks.length}`);
-    console.log(`Skipped: ${failedBooks.length}`);
+  if (args[0] === 'serve') {
+    await serveCommand(args.slice(1));
+    return;
+  }
 
-    await sendSlackNotification(successBooks, failedBooks, startTime);
+  await runAutomation();
+}
 
-  } catch (error) {
+module.exports = {
+  findBookDescription,
+  formattedTextToPlainText,
+  formattedTextToRichText,
+  parseGoodreadsSearchResults,
+  chooseGoodreadsResult,
+  parseGoodreadsBookPage
+};
+
+if (require.main === module) {
+  main().catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
-  }
-})();
+  });
+}
@@ -0,0 +1,80 @@
+// Goodreads parsing against synthetic pages modelled on Goodreads' markup. Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  parseGoodreadsSearchResults,
+  chooseGoodreadsResult,
+  parseGoodreadsBookPage
+} = require('../notion-book-descriptions');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('reads the book rows of a search page', () => {
+  const results = parseGoodreadsSearchResults(readFixture('goodreads-search.html'));
+
+  assert.deepEqual(results, [
+    {
+      path: '/book/show/58383425-study-guide',
+      title: 'Study Guide: Piranesi by Susanna Clarke (SuperSummary)',
+      authors: ['SuperSummary']
+    },
+    { path: '/book/show/50202953-piranesi', title: 'Piranesi', authors: ['Susanna Clarke'] },
+    { path: '/book/show/14201.Jonathan_Strange_Mr_Norrell', title: 'Jonathan Strange & Mr Norrell', authors: ['Susanna Clarke'] }
+  ]);
+});
+
+test('falls back to the book links when there are no rows', () => {
+  const html = '<a href="/book/show/50202953-piranesi?from_search=true">Piranesi</a>';
+
+  assert.deepEqual(parseGoodreadsSearchResults(html), [
+    { path: '/book/show/50202953-piranesi', title: '', authors: [] }
+  ]);
+});
+
+test('picks the real book over a study guide listed above it', () => {
+  const results = parseGoodreadsSearchResults(readFixture('goodreads-search.html'));
+
+  assert.equal(chooseGoodreadsResult(results, 'Piranesi', 'Susanna Clarke').path, '/book/show/50202953-piranesi');
+});
+
+test('picks nothing when no result matches', () => {
+  const results = parseGoodreadsSearchResults(readFixture('goodreads-search.html'));
+
+  assert.equal(chooseGoodreadsResult(results, 'The Left Hand of Darkness', 'Ursula K. Le Guin'), null);
+});
+
+test('reads a book page from its JSON-LD and __NEXT_DATA__', () => {
+  const book = parseGoodreadsBookPage(readFixture('goodreads-book.html'));
+
+  assert.equal(book.title, 'Piranesi');
+  assert.deepEqual(book.authors, ['Susanna Clarke']);
+  assert.equal(book.description,
+    '<b>From the <i>New York Times</i> bestselling author of <i>Jonathan Strange &amp; Mr. Norrell</i>.</b>\n\n' +
+    'Piranesi’s house is no ordinary building; its rooms are infinite, its corridors endless, its walls are lined with thousands upon thousands of statues.\n\n' +
+    'Within the labyrinth of halls an ocean is imprisoned; waves thunder up staircases, rooms are flooded in an instant.');
+  assert.deepEqual(book.metadata, {
+    pages: 272,
+    yearPublished: 2020,
+    publisher: 'Bloomsbury Publishing',
+    genres: ['Fantasy', 'Fiction', 'Mystery'],
+    isbn: '9781635575637',
+    coverUrl: 'https://images-na.ssl-images-amazon.com/images/S/compressed.photo.goodreads.com/books/1609095173i/50202953.jpg'
+  });
+});
+
+test('reads a book page that only has JSON-LD', () => {
+  const book = parseGoodreadsBookPage(readFixture('goodreads-book-jsonld.html'));
+
+  assert.equal(book.title, 'The Ladies of Grace Adieu and Other Stories');
+  assert.deepEqual(book.authors, ['Susanna Clarke', 'Charles Vess']);
+  assert.equal(book.description,
+    'Susanna Clarke’s stories are set in the same world as <i>Jonathan Strange &amp; Mr Norrell</i>.\n\n' +
+    'Eight tales of magic in “Faerie” and England.');
+  assert.equal(book.metadata.pages, 235);
+  assert.equal(book.metadata.isbn, '9781582346366');
+});